@@ -4,6 +4,10 @@ let localize = nls.loadMessageBundle();
 const vscode = require('vscode');
 const { DartClassReader } = require('../readers/dart_class_reader');
 const { DataClassGenerator } = require('../data_class_generator');
+const {
+  DartStringLiteral, // eslint-disable-line no-unused-vars
+  findStringLiterals,
+} = require('../readers/dart_string_literal');
 
 const {
   DartClass, // eslint-disable-line no-unused-vars
@@ -16,6 +20,7 @@ const {
 } = require('../helpers');
 const {
   getReplaceEdit,
+  readJsonSelection,
 } = require('../editor_helpers');
 
 class DataClassCodeActions {
@@ -32,6 +37,11 @@ class DataClassCodeActions {
     this.previousDocumentVersion = -1
     this.previousRange = null;
     this.cachedCodeActions = [];
+    /**
+     * String literals of the document, found once per version when JSON is looked for.
+     * @type {DartStringLiteral[]}
+     */
+    this.literals = null;
   }
 
   get uri() {
@@ -51,8 +61,9 @@ class DataClassCodeActions {
       this.reader = new DartClassReader(document.getText(), null, this.projectName);
       this.generator = new DataClassGenerator(this.reader.theClasses, this.reader.imports, false, this.isFlutter, this.projectName);
       this.previousDocumentVersion = document.version
+      this.literals = null;
     } else {
-      if (this.previousRange && this.previousRange.start.line == range.start.line && this.cachedCodeActions) {
+      if (this.previousRange && this.previousRange.isEqual(range) && this.cachedCodeActions) {
         return this.cachedCodeActions;
       }
     }
@@ -65,7 +76,9 @@ class DataClassCodeActions {
     // Class independent code actions.
     const codeActions = [
       this.createImportsFix(lineNumber, this.reader.imports),
+      this.createJsonFix(document, range),
     ];
+    this.cachedCodeActions = codeActions;
 
     if (clazz == null || !clazz.isValid) {
       return codeActions;
@@ -216,6 +229,32 @@ class DataClassCodeActions {
     }
   }
 
+  /**
+   * Generates classes from the selected JSON, or from the JSON string literal holding the cursor.
+   *
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range} range
+   */
+  createJsonFix(document, range) {
+    if (this.literals == null) {
+      this.literals = findStringLiterals(document.getText());
+    }
+    const start = document.offsetAt(range.start);
+    const literal = this.literals.find((l) => start >= l.start && start <= l.end) || null;
+    // Without a selection, only string literals can hold JSON.
+    if (range.isEmpty && literal == null) return;
+    if (readJsonSelection(document, range, literal) == null) return;
+
+    const title = localize('act.json', 'Generate data classes from JSON');
+    const fix = new vscode.CodeAction(title, vscode.CodeActionKind.RefactorExtract);
+    fix.command = {
+      title,
+      command: 'dart-data-o-matic.generate.from_json_selection',
+      arguments: [range],
+    };
+    return fix;
+  }
+
   /**
    * @param {number} lineNumber
    */
@@ -1,12 +1,19 @@
 const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
 
 const { DartClassReader } = require('../readers/dart_class_reader');
 const { JsonReader } = require('../readers/json_reader');
+const { OpenApiReader } = require('../readers/open_api_reader');
+const { HttpCaptureReader, readHttpCapture, getEndpoints } = require('../readers/http_capture_reader');
+const { JsonFolderReader } = require('../readers/json_folder_reader');
+const { Json5Parser, JsonSyntaxError } = require('../readers/json5_parser'); // eslint-disable-line no-unused-vars
 
-const { DataClassGenerator } = require('../data_class_generator');
+const { DataClassGenerator, migrateToNullSafety } = require('../data_class_generator');
 
 const {
   DartClass, // eslint-disable-line no-unused-vars
+  DartClassProperty, // eslint-disable-line no-unused-vars
 } = require('../types');
 
 const {
@@ -16,12 +23,18 @@ const {
   getDocText,
   getLangId,
   readSetting,
+  isBlank,
   showError,
   showInfo,
+  getOutputChannel,
+  getDiagnostics,
+  getEditor,
+  supportsDartVersion,
 } = require('../helpers');
 
 const {
   getReplaceEdit,
+  getJsonSelection,
 } = require('../editor_helpers');
 
 /**
@@ -48,13 +61,179 @@ async function showClassChooser(theClasses) {
   return result;
 }
 
+/**
+ * Whether to separate the generated classes into multiple files, based on the settings.
+ * Returns null if the user cancels the choice.
+ *
+ * @param {JsonReader} reader
+ */
+async function askSeparate(reader) {
+  if (reader.files.length < 2) {
+    return true;
+  }
+
+  const setting = readSetting('json.separate');
+  if (setting != 'ask') {
+    return setting == 'separate';
+  }
+
+  const r = await vscode.window.showQuickPick(['Yes', 'No'], {
+    canPickMany: false,
+    placeHolder: 'Do you wish to separate the JSON into multiple files?',
+  });
+  return r != null ? r == 'Yes' : null;
+}
+
+/**
+ * Generates enums for the string fields taking a few distinct values, based on the settings.
+ * Returns false if the user cancels the choice.
+ *
+ * @param {JsonReader} reader
+ * @param {boolean} interactive If false, enums are only generated when they don't need to be confirmed, or were confirmed before
+ * @param {string[]} confirmed Fields confirmed as enums (e.g. 'User.status'), updated with the choice of the user
+ */
+async function askEnums(reader, interactive = true, confirmed = []) {
+  const setting = readSetting('json.enums');
+  if (reader.enumCandidates.length == 0 || setting == 'never') {
+    return true;
+  }
+
+  const getLabel = (candidate) => `${candidate.clazz.name}.${candidate.prop.name}`;
+  let candidates = reader.enumCandidates;
+  if (setting != 'always' && !interactive) {
+    candidates = candidates.filter((candidate) => confirmed.includes(getLabel(candidate)));
+  } else if (setting != 'always') {
+    const items = candidates.map((candidate) => ({
+      label: getLabel(candidate),
+      description: candidate.values.join(' | '),
+      picked: true,
+      candidate,
+    }));
+    const response = await vscode.window.showQuickPick(items, {
+      placeHolder: 'Please select the fields you want to generate enums for.',
+      canPickMany: true,
+    });
+    if (response == null) {
+      return false;
+    }
+    candidates = response.map((item) => item.candidate);
+    confirmed.splice(0, confirmed.length, ...candidates.map(getLabel));
+  }
+
+  reader.generateEnums(candidates);
+  return true;
+}
+
+/**
+ * Reports conflicts found while reading, and why the data couldn't be read, in the output channel.
+ *
+ * @param {string[]} warnings
+ */
+async function showWarnings(warnings) {
+  if (warnings.length == 0) {
+    return;
+  }
+
+  const output = getOutputChannel();
+  for (const warning of warnings) {
+    output.appendLine(warning);
+  }
+
+  const details = 'Show details';
+  const r = await vscode.window.showWarningMessage(`${warnings.length} issue(s) found while reading the data.`, details);
+  if (r == details) {
+    output.show(true);
+  }
+}
+
+/**
+ * Points out a syntax error of the JSON read from a document, in the Problems panel and with the cursor.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {JsonSyntaxError} error
+ * @param {(offset: number) => number} offsetAt Offset in the document of an offset in the JSON, when read from a part of it
+ */
+function showSyntaxError(document, error, offsetAt = (offset) => offset) {
+  const position = document.positionAt(offsetAt(error.offset));
+  const range = document.validateRange(new vscode.Range(position, position.translate(0, 1)));
+
+  const diagnostic = new vscode.Diagnostic(range, error.reason, vscode.DiagnosticSeverity.Error);
+  diagnostic.source = 'Dart Data-O-matic';
+  getDiagnostics().set(document.uri, [diagnostic]);
+
+  const editor = getEditor();
+  if (editor != null && editor.document == document) {
+    editor.selection = new vscode.Selection(position, position);
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+  }
+}
+
+/**
+ * Writes the classes of a reader into the current document (and separate files if chosen),
+ * with the generator or a template.
+ *
+ * @param {JsonReader} reader
+ * @param {Object} template
+ * @param {vscode.TextDocument} document Document the JSON was read from, where syntax errors are pointed out
+ * @param {JsonSelection} selection Part of the document the JSON was read from, instead of the whole document
+ */
+async function commitReader(reader, template = null, document = null, selection = null) {
+  const error = await reader.error;
+  if (document != null) {
+    getDiagnostics().delete(document.uri);
+  }
+  if (error != null) {
+    if (document != null && reader.syntaxError != null) {
+      showSyntaxError(document, reader.syntaxError, selection != null ? selection.offsetAt : undefined);
+    }
+    showWarnings(reader.warnings);
+    showError(error);
+    return;
+  }
+
+  showWarnings(reader.warnings);
+
+  if (!await askEnums(reader)) {
+    return;
+  }
+
+  const separate = await askSeparate(reader);
+  if (separate == null) {
+    return;
+  }
+
+  vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    cancellable: false,
+  }, async(progress) => {
+    progress.report({ increment: 0, message: 'Generating Data Classes...' });
+    if (selection != null) {
+      await reader.insertJson(progress, separate, getDoc(), selection.target);
+      return;
+    }
+
+    scrollTo(0);
+    if (template != null) {
+      await reader.renderWithTemplate(progress, separate, template, getDoc());
+    } else {
+      await reader.commitJson(progress, separate);
+    }
+    clearSelection();
+  });
+}
+
 /**
  * @param {boolean} isFlutter
  * @param {string} projectName
+ * @param {string} text
+ * @param {(theClasses: DartClass[]) => DartClass[]} select Classes to generate, instead of asking for them
  */
-async function generateDataClass(isFlutter, projectName, text = getDocText()) {
+async function generateDataClass(isFlutter, projectName, text = getDocText(), select = null) {
   if (getLangId() == 'dart') {
     const reader = new DartClassReader(text, null, projectName);
+    if (select != null) {
+      reader.theClasses = select(reader.theClasses);
+    }
     const generator = new DataClassGenerator(reader.theClasses, reader.imports, false, isFlutter, projectName);
     let theClasses = generator.clazzes;
 
@@ -103,10 +282,265 @@ async function generateDataClass(isFlutter, projectName, text = getDocText()) {
 }
 
 /**
+ * Generates data classes from the selected JSON, or from the JSON string literal holding the cursor.
+ *
  * @param {boolean} isFlutter
  * @param {string} projectName
+ * @param {vscode.Range} range Range to read, the selection of the editor by default
  */
-async function generateDataClassFromJson(isFlutter, projectName) {
+async function generateDataClassFromJsonSelection(isFlutter, projectName, range = null) {
+  const editor = getEditor();
+  if (editor == null || getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const document = editor.document;
+  const selection = getJsonSelection(document, range || editor.selection);
+  if (selection == null) {
+    return showError('Please select some JSON, or place the cursor in a string holding JSON, and then try again!');
+  }
+
+  const name = await vscode.window.showInputBox({
+    placeHolder: 'Please type in a class name.',
+  });
+  if (name == null || name.length == 0) {
+    return;
+  }
+
+  const reader = new JsonReader(isFlutter, projectName, selection.text, name);
+  await commitReader(reader, null, document, selection);
+}
+
+/**
+ * Differences between a class and the class generated from a JSON sample, as changes to choose from.
+ * Fields are matched by their JSON key.
+ *
+ * @param {DartClass} clazz
+ * @param {DartClass} sample
+ * @returns {{ kind: string; prop: DartClassProperty; sampleProp: DartClassProperty; label: string; description: string; picked: boolean; }[]}
+ */
+function getSyncChanges(clazz, sample) {
+  const findProp = (props, prop) => props.find((p) => p.jsonName == prop.jsonName) || props.find((p) => p.name == prop.name);
+  const changes = [];
+
+  for (const sampleProp of sample.properties) {
+    const prop = findProp(clazz.properties, sampleProp);
+    if (prop == null) {
+      changes.push({ kind: 'add', prop: null, sampleProp, label: `Add ${sampleProp.name}`, description: sampleProp.rawType, picked: true });
+      continue;
+    }
+
+    if (sampleProp.isNullable && !prop.isNullable) {
+      changes.push({ kind: 'nullable', prop, sampleProp, label: `Make ${prop.name} nullable`, description: 'null in the JSON', picked: true });
+    }
+    // Types that can't be told from the sample (e.g. empty lists) or that are narrower (int for double) are compatible.
+    const isCompatible = sampleProp.type.includes('dynamic') || sampleProp.type == prop.type || (sampleProp.type == 'int' && prop.type == 'double');
+    if (!isCompatible) {
+      changes.push({ kind: 'type', prop, sampleProp, label: `Change ${prop.name} to ${sampleProp.type}`, description: `was ${prop.type}`, picked: false });
+    }
+  }
+
+  for (const prop of clazz.properties) {
+    if (findProp(sample.properties, prop) != null) continue;
+
+    if (!prop.isNullable) {
+      changes.push({ kind: 'nullable', prop, sampleProp: null, label: `Make ${prop.name} nullable`, description: 'missing from the JSON', picked: true });
+    }
+    changes.push({ kind: 'deprecate', prop, sampleProp: null, label: `Deprecate ${prop.name}`, description: 'missing from the JSON', picked: false });
+  }
+  return changes;
+}
+
+/**
+ * Edits the fields of a class following the chosen changes.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {DartClass} clazz
+ * @param {{ kind: string; prop: DartClassProperty; sampleProp: DartClassProperty; }[]} changes
+ */
+function getSyncEdit(document, clazz, changes) {
+  const edit = new vscode.WorkspaceEdit();
+  // Fields added to freezed classes are moved into their factory when regenerating them.
+  const lastLine = clazz.properties.length > 0 && !clazz.isFreezed ? Math.max(...clazz.properties.map((p) => p.lineNumber)) : clazz.startsAt;
+  const indent = lastLine != clazz.startsAt ? /^\s*/.exec(document.lineAt(lastLine - 1).text)[0] : '  ';
+
+  for (const prop of clazz.properties) {
+    const own = changes.filter((change) => change.prop === prop);
+    if (own.length == 0) continue;
+
+    const line = document.lineAt(prop.lineNumber - 1);
+    if (own.some((change) => change.kind == 'deprecate')) {
+      edit.insert(document.uri, line.range.start, `${/^\s*/.exec(line.text)[0]}@Deprecated('Missing from the JSON')\n`);
+    }
+
+    const typeChange = own.find((change) => change.kind == 'type');
+    let type = typeChange != null ? typeChange.sampleProp.rawType : prop.rawType;
+    if (own.some((change) => change.kind == 'nullable') && !type.endsWith('?') && type != 'dynamic') type += '?';
+    if (type != prop.rawType) {
+      edit.replace(document.uri, line.range, line.text.replace(`${prop.rawType} ${prop.name}`, `${type} ${prop.name}`));
+    }
+  }
+
+  const added = changes.filter((change) => change.kind == 'add').map((change) => {
+    const comment = change.sampleProp.getDocComment()
+      .split('\n')
+      .filter((l) => l.trim().length > 0)
+      .map((l) => `${indent}${l.trim()}\n`)
+      .join('');
+    return `${comment}${indent}final ${change.sampleProp.rawType} ${change.sampleProp.name};\n`;
+  });
+  if (added.length > 0) {
+    edit.insert(document.uri, new vscode.Position(lastLine, 0), added.join(''));
+  }
+  return edit;
+}
+
+/**
+ * Updates an existing class with a new JSON sample: adds the new fields, makes nullable or deprecates the missing ones,
+ * and changes the types that differ (as chosen), before regenerating the class. Classes of new fields are added if missing.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ */
+async function syncDataClassWithJson(isFlutter, projectName) {
+  const editor = getEditor();
+  if (editor == null || getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const classes = new DartClassReader(getDocText(), null, projectName).theClasses;
+  const line = editor.selection.active.line + 1;
+  let clazz = classes.find((c) => c.startsAt <= line && c.endsAt >= line);
+  if (clazz == null) {
+    if (classes.length == 0) {
+      return showError('No dart classes were detected!');
+    }
+    const name = await vscode.window.showQuickPick(classes.map((c) => c.name), {
+      placeHolder: 'Please select the class you want to update.',
+    });
+    if (name == null) {
+      return;
+    }
+    clazz = classes.find((c) => c.name == name);
+  }
+
+  const fromClipboard = 'Clipboard';
+  const fromFile = 'JSON file';
+  const origin = await vscode.window.showQuickPick([fromClipboard, fromFile], {
+    canPickMany: false,
+    placeHolder: `Where is the new JSON sample of ${clazz.name}?`,
+  });
+  if (origin == null) {
+    return;
+  }
+
+  let text;
+  if (origin == fromFile) {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      openLabel: 'Read sample',
+      filters: { 'JSON': ['json', 'jsonc', 'json5'] },
+    });
+    if (uris == null || uris.length == 0) {
+      return;
+    }
+    text = fs.readFileSync(uris[0].fsPath, 'utf8');
+  } else {
+    text = await vscode.env.clipboard.readText();
+  }
+
+  const reader = new JsonReader(isFlutter, projectName, text, clazz.name);
+  const error = await reader.error;
+  if (error != null) {
+    showWarnings(reader.warnings);
+    return showError(error);
+  }
+  showWarnings(reader.warnings);
+
+  // The root is named after the class, the other classes being the ones of its nested objects.
+  const sample = reader.theClasses.find((c) => c.name == reader.className);
+  if (sample == null || sample.isArray || sample.isSealed) {
+    return showError(`The JSON of ${clazz.name} must be an object, or a list of objects of the same kind.`);
+  }
+
+  const changes = getSyncChanges(clazz, sample);
+  if (changes.length == 0) {
+    return showInfo(`${clazz.name} already matches the JSON.`);
+  }
+
+  const chosen = await vscode.window.showQuickPick(changes, {
+    placeHolder: `Please select the changes you want to make to ${clazz.name}.`,
+    canPickMany: true,
+  });
+  if (chosen == null || chosen.length == 0) {
+    return;
+  }
+
+  await vscode.workspace.applyEdit(getSyncEdit(getDoc(), clazz, chosen));
+
+  // Fields keep the key and the conversion of the JSON when regenerating the class.
+  await generateDataClass(isFlutter, projectName, getDocText(), (theClasses) => {
+    const updated = theClasses.filter((c) => c.name == clazz.name);
+    for (const prop of updated.length > 0 ? updated[0].properties : []) {
+      const sampleProp = sample.properties.find((p) => p.name == prop.name);
+      if (sampleProp != null) {
+        prop.jsonName = sampleProp.jsonName;
+        prop.converter = sampleProp.converter;
+      }
+    }
+    return updated;
+  });
+
+  const types = chosen.filter((change) => change.kind == 'add' || change.kind == 'type').map((change) => change.sampleProp.type);
+  reader.retainClasses(types.flatMap((type) => type.match(/[A-Za-z_$][\w$]*/g)).filter((name) => name != sample.name));
+  if (reader.files.length > 0) {
+    const end = getDoc().lineAt(getDoc().lineCount - 1).range.end;
+    await reader.insertJson({ report: () => {} }, false, getDoc(), new vscode.Range(end, end));
+  }
+}
+
+/**
+ * Generates data classes from the JSON of the clipboard, inserted at the cursor.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ */
+async function generateDataClassFromClipboard(isFlutter, projectName) {
+  const editor = getEditor();
+  if (editor == null || getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const text = await vscode.env.clipboard.readText();
+  // JSON with comments and JSON5 may start with comments rather than the value.
+  const parser = new Json5Parser(text);
+  try {
+    parser.skipBlank();
+  } catch (e) {
+    // An unterminated comment, holding no JSON.
+  }
+  if (!['{', '['].includes(text[parser.pos])) {
+    return showError('The clipboard doesn\'t hold any JSON!');
+  }
+
+  const name = await vscode.window.showInputBox({
+    placeHolder: 'Please type in a class name.',
+  });
+  if (name == null || name.length == 0) {
+    return;
+  }
+
+  const position = editor.selection.active;
+  const reader = new JsonReader(isFlutter, projectName, text, name);
+  await commitReader(reader, null, null, { text, offsetAt: (offset) => offset, target: new vscode.Range(position, position) });
+}
+
+/**
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ * @param {typeof JsonReader} Reader Reader for the document content (e.g. a JSON payload or a JSON Schema)
+ */
+async function generateDataClassFromJson(isFlutter, projectName, Reader = JsonReader) {
   let langId = getLangId();
   if (langId == 'dart') {
     const name = await vscode.window.showInputBox({
@@ -117,41 +551,9 @@ async function generateDataClassFromJson(isFlutter, projectName) {
       return;
     }
 
-    let reader = new JsonReader(isFlutter, projectName, getDocText(), name);
-    let separate = true;
-
-    if (await reader.error == null) {
-      if (reader.files.length >= 2) {
-        const setting = readSetting('json.separate');
-        if (setting == 'ask') {
-          const r = await vscode.window.showQuickPick(['Yes', 'No'], {
-            canPickMany: false,
-            placeHolder: 'Do you wish to separate the JSON into multiple files?'
-          });
-
-          if (r != null) {
-            separate = r == 'Yes';
-          } else {
-            return;
-          }
-        } else {
-          separate = (setting == 'separate');
-        }
-      }
-
-      vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        cancellable: false
-      }, async function (progress, token) {
-        progress.report({ increment: 0, message: 'Generating Data Classes...' });
-        scrollTo(0);
-        await reader.commitJson(progress, separate);
-        clearSelection();
-      });
-    } else {
-      showError(await reader.error);
-    }
-  } else if (langId == 'json') {
+    let reader = new Reader(isFlutter, projectName, getDocText(), name);
+    await commitReader(reader, null, getDoc());
+  } else if (['json', 'jsonc', 'json5'].includes(langId)) {
     showError('Please paste the JSON directly into an empty .dart file and then try again!');
   } else {
     showError('Make sure that you\'re editing a dart file and then try again!');
@@ -219,43 +621,346 @@ async function jsonToDart(isFlutter, projectName, template) {
   }
 
   let reader = new JsonReader(isFlutter, projectName, getDocText(), name);
-  let separate = true;
-
-  if (await reader.error == null) {
-    if (reader.files.length >= 2) {
-      const setting = readSetting('json.separate');
-      if (setting == 'ask') {
-        const r = await vscode.window.showQuickPick(['Yes', 'No'], {
-          canPickMany: false,
-          placeHolder: 'Do you wish to separate the JSON into multiple files?'
-        });
-
-        if (r != null) {
-          separate = r == 'Yes';
-        } else {
-          return;
-        }
-      } else {
-        separate = (setting == 'separate');
-      }
+  await commitReader(reader, template, getDoc());
+}
+
+/**
+ * Generate the selected schemas of an OpenAPI/Swagger document, and the ones they reference.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ */
+async function generateDataClassFromOpenApi(isFlutter, projectName) {
+  if (getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const uris = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Read schemas',
+    filters: { 'OpenAPI/Swagger': ['json', 'yaml', 'yml'] },
+  });
+  if (uris == null || uris.length == 0) {
+    return;
+  }
+
+  const reader = new OpenApiReader(isFlutter, projectName, fs.readFileSync(uris[0].fsPath, 'utf8'), '');
+  if (await reader.error != null) {
+    showWarnings(reader.warnings);
+    return showError(await reader.error);
+  }
+
+  const schemaNames = await vscode.window.showQuickPick(reader.schemaNames, {
+    placeHolder: 'Please select the schemas you want to generate data classes of.',
+    canPickMany: true,
+  });
+  if (schemaNames == null || schemaNames.length == 0) {
+    return showInfo('No schemas selected!');
+  }
+  reader.retain(schemaNames);
+
+  // Classes are rendered by the generator, unless a template is chosen.
+  let template = null;
+  const templates = readSetting('templates') || [];
+  if (templates.length > 0) {
+    const generatorName = 'Data class generator';
+    const selectedName = await vscode.window.showQuickPick([generatorName, ...templates.map((t) => t.name)], {
+      canPickMany: false,
+      placeHolder: 'Please select how you want to generate the classes',
+    });
+    if (selectedName == null) {
+      return;
     }
+    template = templates.find((t) => t.name === selectedName) || null;
+  }
 
-    vscode.window.withProgress({
-      location: vscode.ProgressLocation.Notification,
-      cancellable: false
-    }, async function (progress, token) {
-      progress.report({ increment: 0, message: 'Generating Data Classes...' });
-      scrollTo(0);
-      await reader.renderWithTemplate(progress, separate, template, getDoc());
-      clearSelection();
+  await commitReader(reader, template);
+}
+
+/**
+ * Generate the responses of captured traffic (a HAR file or a `.http` file), one class per chosen endpoint.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ */
+async function generateDataClassFromHttpCapture(isFlutter, projectName) {
+  if (getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const uris = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Read responses',
+    filters: { 'HAR/HTTP': ['har', 'http', 'rest'] },
+  });
+  if (uris == null || uris.length == 0) {
+    return;
+  }
+
+  const skipped = [];
+  const endpoints = getEndpoints(readHttpCapture(fs.readFileSync(uris[0].fsPath, 'utf8'), skipped));
+  if (endpoints.length == 0) {
+    showWarnings(skipped);
+    return showError('No JSON responses were found in the file!');
+  }
+
+  const items = endpoints.map((endpoint) => ({
+    label: endpoint.label,
+    description: `${endpoint.status} (${endpoint.bodies.length} response(s))`,
+    endpoint,
+  }));
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: 'Please select the responses you want to generate data classes of.',
+    canPickMany: true,
+  });
+  if (selected == null || selected.length == 0) {
+    return showInfo('No responses selected!');
+  }
+
+  const chosen = [];
+  for (const { endpoint } of selected) {
+    const name = await vscode.window.showInputBox({
+      prompt: `Class name for ${endpoint.label}`,
+      value: endpoint.className,
+    });
+    if (name == null || name.length == 0) {
+      return;
+    }
+    chosen.push({ ...endpoint, className: name });
+  }
+
+  await commitReader(new HttpCaptureReader(isFlutter, projectName, chosen, skipped));
+}
+
+/**
+ * File watchers of the folders of fixtures, by folder.
+ * @type {Map<string, vscode.Disposable>}
+ */
+const folderWatchers = new Map();
+
+/**
+ * Models generated from a folder of fixtures, kept to regenerate them the same way.
+ *
+ * @typedef {Object} FolderModels
+ * @property {string[]} enums Fields confirmed as enums, e.g. 'User.status'
+ * @property {string[]} paths Paths of the models written
+ */
+
+/**
+ * Generates the models of every JSON fixture of a folder into another folder.
+ * Models previously generated from fixtures that are gone are removed.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ * @param {string} folder
+ * @param {string} destination
+ * @param {boolean} interactive If false (e.g. when regenerating on changes), nothing is asked
+ * @param {FolderModels} models Models of the previous generation, updated with the new ones
+ * @returns {Promise<number>} Number of models written or removed, or null if the generation failed
+ */
+async function generateFolderModels(isFlutter, projectName, folder, destination, interactive = true, models = { enums: [], paths: [] }) {
+  try {
+    const fixtures = fs.readdirSync(folder)
+      .filter((fileName) => /\.(json|jsonc|json5)$/.test(fileName))
+      .sort()
+      .map((fileName) => ({ fileName, source: fs.readFileSync(path.join(folder, fileName), 'utf8') }));
+    if (fixtures.length == 0) {
+      showError('No JSON files were found in the folder!');
+      return null;
+    }
+
+    const reader = new JsonFolderReader(isFlutter, projectName, fixtures);
+    const error = await reader.error;
+    if (error != null) {
+      showWarnings(reader.warnings);
+      showError(error);
+      return null;
+    }
+    showWarnings(reader.warnings);
+
+    if (!await askEnums(reader, interactive, models.enums)) {
+      return null;
+    }
+
+    let changed = reader.writeModels(destination);
+    const paths = reader.files.map((file) => path.join(destination, `${file.name}.dart`));
+    for (const stale of models.paths.filter((p) => !paths.includes(p) && fs.existsSync(p))) {
+      fs.unlinkSync(stale);
+      changed++;
+    }
+    models.paths = paths;
+    return changed;
+  } catch (e) {
+    showError(`The models of ${folder} couldn't be generated: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Generates a model package from a folder of JSON fixtures (e.g. `test/fixtures`), one class per file,
+ * and optionally regenerates it when the fixtures change.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ * @param {vscode.Uri} folderUri Folder chosen in the explorer, asked for otherwise
+ */
+async function generateDataClassFromJsonFolder(isFlutter, projectName, folderUri = null) {
+  if (folderUri == null) {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      openLabel: 'Read fixtures',
+    });
+    if (uris == null || uris.length == 0) {
+      return;
+    }
+    folderUri = uris[0];
+  }
+
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(folderUri);
+  const destinations = await vscode.window.showOpenDialog({
+    canSelectFiles: false,
+    canSelectFolders: true,
+    canSelectMany: false,
+    openLabel: 'Write models',
+    defaultUri: workspaceFolder != null ? vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, 'lib')) : undefined,
+  });
+  if (destinations == null || destinations.length == 0) {
+    return;
+  }
+
+  const folder = folderUri.fsPath;
+  const destination = destinations[0].fsPath;
+  const models = { enums: [], paths: [] };
+  const written = await generateFolderModels(isFlutter, projectName, folder, destination, true, models);
+  if (written == null) {
+    return;
+  }
+
+  const watch = 'Watch fixtures';
+  const r = await vscode.window.showInformationMessage(`${written} model(s) written into ${destination}.`, watch);
+  if (r != watch) {
+    return;
+  }
+
+  if (folderWatchers.has(folder)) {
+    folderWatchers.get(folder).dispose();
+  }
+  const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '*.{json,jsonc,json5}'));
+  // Saving several fixtures at once regenerates the models only once.
+  let timeout = null;
+  const regenerate = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(async() => {
+      const changed = await generateFolderModels(isFlutter, projectName, folder, destination, false, models);
+      if (changed != null && changed > 0) {
+        getOutputChannel().appendLine(`${changed} model(s) regenerated from ${folder}.`);
+      }
+    }, 500);
+  };
+  watcher.onDidChange(regenerate);
+  watcher.onDidCreate(regenerate);
+  watcher.onDidDelete(regenerate);
+  folderWatchers.set(folder, watcher);
+}
+
+/**
+ * Stops watching every folder of fixtures.
+ */
+function stopWatchingFolders() {
+  for (const watcher of folderWatchers.values()) {
+    watcher.dispose();
+  }
+  folderWatchers.clear();
+}
+
+/**
+ * Merges several JSON samples of the same entity, either one per line in the current document (NDJSON) or from files.
+ *
+ * @param {boolean} isFlutter
+ * @param {string} projectName
+ */
+async function generateDataClassFromJsonSamples(isFlutter, projectName) {
+  if (getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+
+  const fromDocument = 'Current document (one JSON sample per line)';
+  const fromFiles = 'JSON files';
+  const origin = await vscode.window.showQuickPick([fromDocument, fromFiles], {
+    canPickMany: false,
+    placeHolder: 'Where are the JSON samples?',
+  });
+  if (origin == null) {
+    return;
+  }
+
+  let samples = [];
+  if (origin == fromFiles) {
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: true,
+      openLabel: 'Read samples',
+      filters: { 'JSON': ['json', 'jsonc', 'json5'] },
     });
+    if (uris == null || uris.length == 0) {
+      return;
+    }
+    samples = uris.map((uri) => fs.readFileSync(uri.fsPath, 'utf8'));
   } else {
-    showError(await reader.error);
+    samples = getDocText().split('\n').filter((line) => !isBlank(line));
   }
+
+  const name = await vscode.window.showInputBox({
+    placeHolder: 'Please type in a class name.',
+  });
+  if (name == null || name.length == 0) {
+    return;
+  }
+
+  await commitReader(new JsonReader(isFlutter, projectName, samples, name));
+}
+
+/**
+ * Migrates the members of the classes of the current document, generated before null safety, to sound null safety
+ * (`required` parameters, nullable copyWith parameters, no null-aware access to non-nullable fields...).
+ *
+ * @param {string} projectName
+ */
+async function migrateDataClassesToNullSafety(projectName) {
+  const editor = getEditor();
+  if (editor == null || getLangId() != 'dart') {
+    return showError('Make sure that you\'re editing a dart file and then try again!');
+  }
+  if (!supportsDartVersion([2, 12])) {
+    return showError('The SDK constraint of the package doesn\'t allow null safety (Dart 2.12 or later)!');
+  }
+
+  const classes = new DartClassReader(getDocText(), null, projectName).theClasses;
+  const migrated = [];
+  for (const clazz of classes.filter((c) => c.isValid)) {
+    clazz.toReplace = migrateToNullSafety(clazz);
+    if (clazz.toReplace.length > 0) migrated.push(clazz);
+  }
+  if (migrated.length == 0) {
+    return showInfo('No members to migrate were found.');
+  }
+
+  await vscode.workspace.applyEdit(getReplaceEdit(migrated));
+  showInfo(`Migrated ${migrated.length} ${migrated.length == 1 ? 'class' : 'classes'} to null safety.`);
 }
 
 module.exports = {
   generateDataClass,
+  syncDataClassWithJson,
   generateDataClassFromJson,
   generateDataClassFromJsonWithTemplate,
+  generateDataClassFromOpenApi,
+  generateDataClassFromHttpCapture,
+  generateDataClassFromJsonSamples,
+  generateDataClassFromJsonFolder,
+  stopWatchingFolders,
+  generateDataClassFromJsonSelection,
+  generateDataClassFromClipboard,
+  migrateDataClassesToNullSafety,
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+const {
+  readSetting,
+} = require('./helpers');
+
+/**
+ * Serialization of a type that isn't a primitive nor a data class, as expressions where `${value}` is the value to convert.
+ *
+ * @typedef {Object} TypeConverter
+ * @property {string} [type] Dart type converted, the name of the converter when not given
+ * @property {string} toMap Expression of the serialized value, e.g. `${value}.toIso8601String()`
+ * @property {string} fromMap Expression of the deserialized value, e.g. `DateTime.parse(${value})`
+ * @property {string[]} [imports] Imports required by the expressions, e.g. 'package:decimal/decimal.dart'
+ */
+
+/**
+ * Converters of the common types, named after their type for the default one of a type.
+ *
+ * @type {Object<string, TypeConverter>}
+ */
+const defaultConverters = {
+  'DateTime': { type: 'DateTime', toMap: '${value}.millisecondsSinceEpoch', fromMap: 'DateTime.fromMillisecondsSinceEpoch(${value})' },
+  'millis': { type: 'DateTime', toMap: '${value}.millisecondsSinceEpoch', fromMap: 'DateTime.fromMillisecondsSinceEpoch(${value})' },
+  'iso8601': { type: 'DateTime', toMap: '${value}.toIso8601String()', fromMap: 'DateTime.parse(${value})' },
+  'date': { type: 'DateTime', toMap: '${value}.toIso8601String().substring(0, 10)', fromMap: 'DateTime.parse(${value})' },
+  'Duration': { type: 'Duration', toMap: '${value}.inMicroseconds', fromMap: 'Duration(microseconds: ${value})' },
+  'Uri': { type: 'Uri', toMap: '${value}.toString()', fromMap: 'Uri.parse(${value})' },
+  'BigInt': { type: 'BigInt', toMap: '${value}.toString()', fromMap: 'BigInt.parse(${value})' },
+  'Decimal': {
+    type: 'Decimal',
+    toMap: '${value}.toString()',
+    fromMap: 'Decimal.parse(${value})',
+    imports: ['package:decimal/decimal.dart'],
+  },
+  'Color': { type: 'Color', toMap: '${value}.value', fromMap: 'Color(${value})' },
+  'IconData': { type: 'IconData', toMap: '${value}.codePoint', fromMap: "IconData(${value}, fontFamily: 'MaterialIcons')" },
+};
+
+/**
+ * Converter of the given name, from the settings first. Settings can also alias a converter, e.g. { "DateTime": "iso8601" }.
+ *
+ * @param {string} name
+ * @returns {TypeConverter}
+ */
+function getConverter(name) {
+  const converters = Object.assign({}, defaultConverters, readSetting('type_converters') || {});
+
+  const visited = [];
+  let converter = converters[name];
+  while (typeof converter === 'string' && !visited.includes(converter)) {
+    visited.push(converter);
+    name = converter;
+    converter = converters[name];
+  }
+  if (converter == null || typeof converter !== 'object') return null;
+
+  return Object.assign({ type: name }, converter);
+}
+
+/**
+ * Converter of a property, or of the items of a collection: the one set for the field in the settings,
+ * the one it was read with (e.g. 'iso8601' for DateTime strings of JSON), or the default one of its type.
+ * Converters of another type are ignored.
+ *
+ * @param {import('./types').DartClassProperty} prop
+ * @param {string} className
+ * @returns {TypeConverter}
+ */
+function findConverter(prop, className) {
+  const fieldConverters = readSetting('field_converters') || {};
+  const names = [
+    fieldConverters[`${className}.${prop.name}`],
+    fieldConverters[`${className}.${prop.jsonName}`],
+    fieldConverters[prop.name],
+    fieldConverters[prop.jsonName],
+    prop.converter,
+    prop.type,
+  ];
+
+  for (const name of names.filter(name => name != null)) {
+    const converter = getConverter(name);
+    if (converter != null && converter.type == prop.type) return converter;
+  }
+  return null;
+}
+
+/**
+ * Applies the expression of a converter to a value. Nullable values are only converted when they are present.
+ *
+ * @param {string} expression
+ * @param {string} value
+ * @param {boolean} isNullable
+ */
+function applyConverter(expression, value, isNullable) {
+  const placeholder = /\$\{\s*value\s*\}/g;
+  const converted = expression.replace(placeholder, value);
+  if (!isNullable) return converted;
+
+  // A member of the value can be accessed null-aware, e.g. value?.toIso8601String(). Longer chains aren't,
+  // as null-aware accesses don't short-circuit the rest of the chain before null safety.
+  const leading = /^\$\{\s*value\s*\}\.(?=[\w$]+(\(\))?$)/.exec(expression);
+  if (leading != null) return `${value}?.${expression.substring(leading[0].length)}`;
+  return `${value} != null ? ${converted} : null`;
+}
+
+module.exports = {
+  defaultConverters,
+  findConverter,
+  applyConverter,
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+const path = require('path');
+
 const {
   DartClass, // eslint-disable-line no-unused-vars
   Imports,
@@ -11,8 +13,18 @@ const {
   isBlank,
   areStrictEqual,
   readSetting,
+  usesJsonSerializable,
+  supportsDartVersion,
+  toDartLiteral,
+  getDoc,
+  getEditor,
 } = require('./helpers');
 
+const {
+  findConverter,
+  applyConverter,
+} = require('./converters');
+
 /**
  * @param {string} source
  */
@@ -24,6 +36,101 @@ function indent(source) {
   return r.length > 0 ? r : source;
 }
 
+/**
+ * Names the parameter of collection closures, so that nested closures don't shadow each other.
+ * @param {number} depth
+ * @param {string} name
+ */
+function closureParameter(depth, name = 'x') {
+  return depth == 0 ? name : `${name}${depth}`;
+}
+
+/**
+ * End of the expression starting at an index: the first comma, semicolon or closing bracket outside of its own brackets.
+ * @param {string} code
+ * @param {number} start
+ */
+function expressionEnd(code, start) {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    const c = code[i];
+    if ('([{'.includes(c)) {
+      depth++;
+    } else if (')]}'.includes(c)) {
+      if (depth == 0) return i;
+      depth--;
+    } else if ((c == ',' || c == ';') && depth == 0) {
+      return i;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Rewrites the members generated before null safety to their null-safe form, keeping the changes made to them:
+ * dead null-aware operators on non-nullable fields (e.g. `tags?.map((x) => x.toMap())?.toList()`), unsound number
+ * conversions, `required` parameters, nullable copyWith parameters and Equatable props, and deprecated hashes.
+ * @param {DartClass} clazz
+ * @returns {ClassPart[]} The members that changed, with their replacement
+ */
+function migrateToNullSafety(clazz) {
+  const escape = (name) => name.replace(/\$/g, '\\$');
+  const changed = [];
+  for (const part of clazz.initialParts) {
+    let code = part.current;
+
+    for (const prop of clazz.properties.filter(p => !p.isNullable)) {
+      const reference = new RegExp(`(?<![\\w$.'"])((?:this\\.)?${escape(prop.name)})(\\s*)\\?\\.`, 'g');
+      let match;
+      while ((match = reference.exec(code)) != null) {
+        // Chains can be split over several lines, up to the end of the expression.
+        const start = match.index + match[0].length;
+        const end = expressionEnd(code, start);
+        // The rest of the chain can't be null either, e.g. `.map(...)?.toList()`, nor can the items of the collection.
+        let rest = code.substring(start, end).replace(/\)(\s*)\?\./g, ')$1.');
+        if (prop.isCollection && !prop.itemType.isNullable) rest = rest.replace(/(?<![\w$.])(x\d*)\?\./g, '$1.');
+        code = `${code.substring(0, match.index)}${match[1]}${match[2]}.${rest}${code.substring(end)}`;
+        reference.lastIndex = match.index;
+      }
+    }
+
+    code = code.replace(/(map\['([^']+)'\])\?\.(toInt|toDouble)\(\)(\s*\?\?)?/g, (_, value, key, conversion, fallback) => {
+      const prop = clazz.properties.find(p => p.jsonName == key);
+      if (fallback != null || prop == null || prop.isNullable) {
+        return `(${value} as num?)?.${conversion}()${fallback || ''}`;
+      }
+      return `(${value} as num).${conversion}()`;
+    });
+
+    if (part.name == 'constructor') {
+      code = code.replace(/@required\s+/g, 'required ').replace(/\bKey key\b/g, 'Key? key');
+      if (/\(\s*\{/.test(code)) {
+        // Named parameters of non-nullable fields without a default value are required.
+        for (const prop of clazz.properties.filter(p => !p.isNullable)) {
+          code = code.replace(new RegExp(`^(\\s*)this\\.${escape(prop.name)},`, 'm'), `$1required this.${prop.name},`);
+        }
+      }
+    } else if (part.name == 'copyWith') {
+      const end = code.indexOf('})');
+      let parameters = code.substring(0, end);
+      for (const prop of clazz.properties) {
+        parameters = parameters.replace(new RegExp(`^(\\s*)([^\\s?]|[^\\s?][^\\n]*[^\\s?])\\s+${escape(prop.name)},`, 'm'), `$1$2? ${prop.name},`);
+      }
+      code = parameters + code.substring(end);
+    } else if (part.name == 'props') {
+      code = code.replace('List<Object> get props', 'List<Object?> get props');
+    } else if (part.name == 'hashCode' && supportsDartVersion([2, 14])) {
+      code = code.replace(/\bhashList\(/g, 'Object.hashAll(').replace(/\bhashValues\(/g, 'Object.hash(');
+    }
+
+    if (code != part.current) {
+      part.replacement = code;
+      changed.push(part);
+    }
+  }
+  return changed;
+}
+
 // FIXME: fromJSON is used only for the insertFromMap method.
 class DataClassGenerator {
   /**
@@ -32,13 +139,22 @@ class DataClassGenerator {
    * @param {boolean} fromJSON
    * @param {boolean} isFlutter
    * @param {string} projectName
+   * @param {string} fileName Name or path of the Dart file holding the classes (the current document by default), used for its parts.
+   * Paths also locate the package, whose Dart SDK constraint is followed.
    */
-  constructor(clazzes, imports = null, fromJSON = false, isFlutter = false, projectName = null) {
+  constructor(clazzes, imports = null, fromJSON = false, isFlutter = false, projectName = null, fileName = null) {
     this.fromJSON = fromJSON;
     this.clazzes = clazzes;
     this.isFlutter = isFlutter;
     this.projectName = projectName;
+    this.fileName = fileName;
     this.imports = imports || new Imports('', projectName);
+    // Generated code follows the Dart SDK constraint of the package.
+    const location = fileName != null && path.isAbsolute(fileName) ? fileName : null;
+    this.isNullSafe = supportsDartVersion([2, 12], location);
+    this.hasEnumNames = supportsDartVersion([2, 15], location);
+    this.hasObjectHash = supportsDartVersion([2, 14], location);
+    if (location != null) clazzes.forEach(clazz => clazz.location = location);
     this.generateDataClazzes();
   }
 
@@ -50,11 +166,55 @@ class DataClassGenerator {
     this.imports.requiresImport(imp, validOverrides);
   }
 
+  /**
+   * Converter serializing a property (e.g. a DateTime), requiring its imports.
+   * @param {DartClassProperty} prop
+   * @param {DartClass} clazz
+   */
+  getConverter(prop, clazz) {
+    const converter = findConverter(prop, clazz.name);
+    if (converter != null) {
+      for (const imp of converter.imports || []) this.requiresImport(imp);
+    }
+    return converter;
+  }
+
+  /**
+   * Types can't be nullable before null safety, where the nullability of JSON values is only used to access them null-aware.
+   * @param {string} type
+   */
+  toDeclaredType(type) {
+    return this.isNullSafe ? type : type.replace(/\?/g, '');
+  }
+
+  /**
+   * Part generated by build_runner for the file, e.g. 'user.g.dart' for 'user.dart'.
+   * @param {string} extension E.g. 'g' for json_serializable or 'freezed'
+   */
+  getGeneratedPart(extension) {
+    let fileName = this.fileName != null ? path.basename(this.fileName) : null;
+    if (fileName == null && getEditor() != null) {
+      fileName = path.basename(getDoc().fileName);
+    }
+    return `${removeEnd(fileName || '', '.dart')}.${extension}.dart`;
+  }
+
+  /**
+   * Freezed generates the members of the class from its factory constructor. Variants of sealed classes
+   * and classes wrapping a top level array aren't supported, and keep being generated as data classes.
+   * @param {DartClass} clazz
+   */
+  isFreezed(clazz) {
+    return clazz.isFreezed || (readSetting('freezed.enabled') && !clazz.isVariant && !clazz.isArray);
+  }
+
   // All parts are generated by this class, because the source is unique and saves reprocessing
   // Parts are generated only if there are properties
   generateDataClazzes() {
     for (let clazz of this.clazzes) {
-      if (clazz.isValid) {
+      if (clazz.isValid && !clazz.isWidget && this.isFreezed(clazz)) {
+        this.insertFreezed(clazz);
+      } else if (clazz.isValid) {
         if (readSetting('constructor.enabled')) // part = constructor
           this.insertConstructor(clazz);
 
@@ -62,17 +222,21 @@ class DataClassGenerator {
           if (!clazz.isAbstract) {
             if (readSetting('copyWith.enabled')) // part = copyWith
               this.insertCopyWith(clazz);
-            if (readSetting('toMap.enabled')) // part = serialization
-              this.insertToMap(clazz);
-            // console.warn('inserting FROM MAP')
-            if (readSetting('fromMap.enabled')) // part = serialization
-              this.insertFromMap(clazz);
-            // console.warn('inserting TO JSON')
-            if (readSetting('toJson.enabled')) // part = serialization
-              this.insertToJson(clazz);
-            // console.warn('inserting FROM JSON')
-            if (readSetting('fromJson.enabled')) // part = serialization
-              this.insertFromJson(clazz);
+            if (usesJsonSerializable()) { // part = serialization
+              this.insertJsonSerializable(clazz);
+            } else {
+              if (readSetting('toMap.enabled')) // part = serialization
+                this.insertToMap(clazz);
+              // console.warn('inserting FROM MAP')
+              if (readSetting('fromMap.enabled')) // part = serialization
+                this.insertFromMap(clazz);
+              // console.warn('inserting TO JSON')
+              if (readSetting('toJson.enabled')) // part = serialization
+                this.insertToJson(clazz);
+              // console.warn('inserting FROM JSON')
+              if (readSetting('fromJson.enabled')) // part = serialization
+                this.insertFromJson(clazz);
+            }
           }
 
           if (readSetting('toString.enabled')) // part = toString
@@ -87,6 +251,13 @@ class DataClassGenerator {
               this.insertHash(clazz);
           }
         }
+      } else if (clazz.isEnum && !clazz.isPlainEnum && usesJsonSerializable()) {
+        // Enums serialized by their value are annotated with @JsonEnum.
+        this.requiresImport('package:json_annotation/json_annotation.dart', ['package:freezed_annotation/freezed_annotation.dart']);
+      }
+
+      if (this.fromJSON) {
+        clazz.properties.forEach(prop => prop.rawType = this.toDeclaredType(prop.rawType));
       }
     }
   }
@@ -211,14 +382,14 @@ class DataClassGenerator {
       let hasKey = false;
       let clazzConstr = currentConstr || '';
       for (let line of clazzConstr.split('\n')) {
-        if (line.trim().startsWith('Key? key')) {
+        if (line.trim().startsWith('Key? key') || line.trim().startsWith('Key key')) {
           hasKey = true;
           break;
         }
       }
 
       if (!hasKey)
-        constr += '  Key? key,\n';
+        constr += this.isNullSafe ? '  Key? key,\n' : '  Key key,\n';
     }
 
     const oldProperties = this.findOldConstrProperties(clazz);
@@ -246,8 +417,15 @@ class DataClassGenerator {
 
         if (hasDefault) {
           constr += `${parameter} = ${prop.defValue},\n`;
-        } else if (isNamedConstr) {
+        } else if (isNamedConstr && this.isNullSafe) {
           constr += `required ${parameter},\n`;
+        } else if (isNamedConstr && readSetting('constructor.required')) {
+          this.requiresImport(this.isFlutter ? 'package:flutter/foundation.dart' : 'package:meta/meta.dart', [
+            'package:flutter/material.dart',
+            'package:flutter/cupertino.dart',
+            'package:flutter/widgets.dart',
+          ]);
+          constr += `@required ${parameter},\n`;
         } else {
           constr += `${parameter},\n`;
         }
@@ -297,7 +475,7 @@ class DataClassGenerator {
   insertCopyWith(clazz) {
     let method = clazz.type + ' copyWith({\n';
     for (const prop of clazz.properties) {
-      method += `  ${prop.type}? ${prop.name},\n`;
+      method += `  ${this.isNullSafe ? prop.dartType.asNullable() : this.toDeclaredType(prop.type)} ${prop.name},\n`;
     }
     method += '}) {\n';
     method += `  return ${clazz.type}(\n`;
@@ -317,41 +495,94 @@ class DataClassGenerator {
    */
   insertToMap(clazz) {
     let props = clazz.properties;
+    const isNullSafe = this.isNullSafe;
+    const hasEnumNames = this.hasEnumNames;
+    const getConverter = (prop) => this.getConverter(prop, clazz);
+
     /**
      * @param {DartClassProperty} prop
      */
     function customTypeMapping(prop, name = null, endFlag = ',\n') {
-      prop = prop.isCollection ? prop.listType : prop;
       name = name == null ? prop.name : name;
 
       const nullSafe = prop.isNullable ? '?' : '';
+      // Null-aware accesses don't short-circuit the rest of the chain before null safety.
+      const chained = isNullSafe ? '' : nullSafe;
 
-      switch (prop.rawType) {
-        case 'DateTime':
-          return `${name}${nullSafe}.millisecondsSinceEpoch${endFlag}`;
-        case 'Color':
-          return `${name}${nullSafe}.value${endFlag}`;
-        case 'IconData':
-          return `${name}${nullSafe}.codePoint${endFlag}`
-        default:
-          return `${name}${!prop.isPrimitive ? `${nullSafe}.toMap()` : ''}${endFlag}`;
+      if (prop.isEnum) {
+        if (prop.serializesEnumByName && !hasEnumNames) {
+          // Enum values have no name before Dart 2.15, e.g. Status.active is written 'Status.active'.
+          return `${name}${nullSafe}.toString()${chained}.split('.')${chained}.last${endFlag}`;
+        }
+        const serialized = prop.serializesEnumByName ? 'name' : prop.serializesEnumByValue ? 'value' : 'index';
+        return `${name}${nullSafe}.${serialized}${endFlag}`;
       }
+
+      const converter = getConverter(prop);
+      if (converter != null) {
+        return `${applyConverter(converter.toMap, name, prop.isNullable)}${endFlag}`;
+      }
+
+      return `${name}${!prop.isPrimitive ? `${nullSafe}.toMap()` : ''}${endFlag}`;
+    }
+
+    /**
+     * Sets, iterables and items that aren't primitives have to be converted, at any nesting level.
+     * @param {DartClassProperty} prop
+     */
+    function requiresMapping(prop) {
+      if (prop.isSet || prop.isIterable) return true;
+      return prop.isCollection ? requiresMapping(prop.itemType) : !prop.isPrimitive;
     }
 
-    let method = `Map<String, dynamic> toMap() {\n`;
+    /**
+     * @param {DartClassProperty} prop
+     * @param {string} name
+     * @param {number} depth
+     */
+    function collectionMapping(prop, name, depth = 0) {
+      const nullSafe = prop.isNullable ? '?' : '';
+      const chained = isNullSafe ? '' : nullSafe;
+      const item = prop.itemType;
+
+      if (!requiresMapping(item)) {
+        const mapFlag = prop.isSet || prop.isIterable ? `${nullSafe}.toList()` : '';
+        return `${name}${mapFlag}`;
+      }
+
+      const x = closureParameter(depth);
+      const itemMapping = item.isCollection ? collectionMapping(item, x, depth + 1) : customTypeMapping(item, x, '');
+      if (prop.isMap) {
+        const k = closureParameter(depth, 'k');
+        return `${name}${nullSafe}.map((${k}, ${x}) => MapEntry(${k}, ${itemMapping}))`;
+      }
+      return `${name}${nullSafe}.map((${x}) => ${itemMapping})${chained}.toList()`;
+    }
+
+    if (clazz.isArray) {
+      // Top level arrays are serialized straight from their items.
+      const p = props[0];
+      let method = 'List<dynamic> toList() {\n';
+      method += `  return ${p.isCollection ? collectionMapping(p, p.name) : customTypeMapping(p, null, '')};\n`;
+      method += '}';
+
+      this.appendOrReplace('toList', 'serialization', method, 'List<dynamic> toList()', clazz);
+      return;
+    }
+
+    // Variants implement the toMap() of their sealed class.
+    let method = clazz.isVariant ? '@override\n' : '';
+    method += `Map<String, dynamic> toMap() {\n`;
     method += '  return {\n';
+    if (clazz.isVariant) {
+      // The discriminator is implied by the variant.
+      method += `    '${clazz.discriminator.key}': ${toDartLiteral(clazz.discriminator.value)},\n`;
+    }
     for (let p of props) {
       method += `    '${p.jsonName}': `;
 
-      if (p.isEnum) {
-        method += `${p.name}?.index,\n`;
-      } else if (p.isCollection) {
-        if (p.isMap || p.listType.isPrimitive) {
-          const mapFlag = p.isSet ? '?.toList()' : '';
-          method += `${p.name}${mapFlag},\n`;
-        } else {
-          method += `${p.name}?.map((x) => ${customTypeMapping(p, 'x', '')})?.toList(),\n`
-        }
+      if (p.isCollection) {
+        method += `${collectionMapping(p, p.name)},\n`;
       } else {
         method += customTypeMapping(p);
       }
@@ -369,53 +600,115 @@ class DataClassGenerator {
     let withDefaultValues = readSetting('fromMap.default_values');
     let props = clazz.properties;
     const generatingFromJson = this.fromJSON;
+    const isNullSafe = this.isNullSafe;
+    const hasEnumNames = this.hasEnumNames;
+    const getConverter = (prop) => this.getConverter(prop, clazz);
+    const toDeclaredType = (type) => this.toDeclaredType(type);
 
     /**
      * @param {DartClassProperty} prop
      */
     function customTypeMapping(prop, value = null) {
-      prop = prop.isCollection ? prop.listType : prop;
       const addDefault = withDefaultValues && prop.rawType != 'dynamic';
       const endFlag = value == null ? ',\n' : '';
       value = value == null ? "map['" + prop.jsonName + "']" : value;
 
-      switch (prop.type) {
-        case 'DateTime':
-          return `DateTime.fromMillisecondsSinceEpoch(${value})${endFlag}`;
-        case 'Color':
-          return `Color(${value})${endFlag}`;
-        case 'IconData':
-          return `IconData(${value}, fontFamily: 'MaterialIcons')${endFlag}`
-        default:
-          // Class.fromMap(value) or value
-          let mappableProperty = `${!prop.isPrimitive ? prop.type + '.fromMap(' : ''}${value}${!prop.isPrimitive ? ')' : ''}`
-          // value?.toDouble() or value?.toInt()
-          let propSuffix = prop.isDouble ? '?.toDouble()' : prop.isInt ? '?.toInt()' : ''
-          let jsonManipulation = generatingFromJson ? propSuffix : ''
+      if (prop.isEnum) {
+        if (prop.serializesEnumByName && hasEnumNames) {
+          return `${nullCheck(prop, value, `${prop.type}.values.byName(${value})`)}${endFlag}`;
+        }
+        if (prop.serializesEnumByName) {
+          return `${nullCheck(prop, value, `${prop.type}.values.firstWhere((e) => e.toString() == '${prop.type}.\${${value}}')`)}${endFlag}`;
+        }
+        if (prop.serializesEnumByValue) {
+          return `${nullCheck(prop, value, `${prop.type}.values.firstWhere((e) => e.value == ${value})`)}${endFlag}`;
+        }
+        const defaultValue = withDefaultValues && !prop.isNullable ? ' ?? 0' : '';
+        return `${nullCheck(prop, value, `${prop.type}.values[${value}${defaultValue}]`)}${endFlag}`;
+      }
+
+      const converter = getConverter(prop);
+      if (converter != null) {
+        return `${nullCheck(prop, value, applyConverter(converter.fromMap, value, false))}${endFlag}`;
+      }
 
-          return `${mappableProperty}${jsonManipulation}${addDefault && !prop.isNullable ? ` ?? ${prop.defValue}` : ''}${endFlag}`;
+      if (!prop.isPrimitive && prop.isNullable) {
+        return `${nullCheck(prop, value, `${prop.type}.fromMap(${value})`)}${endFlag}`;
       }
+
+      if (generatingFromJson && (prop.isDouble || prop.isInt)) {
+        // JSON numbers are converted, e.g. (value as num).toDouble(), or value?.toDouble() before null safety.
+        const conversion = prop.isDouble ? 'toDouble()' : 'toInt()';
+        const withDefault = addDefault && !prop.isNullable;
+        let number = `${value}?.${conversion}`;
+        if (isNullSafe) {
+          number = prop.isNullable || withDefault ? `(${value} as num?)?.${conversion}` : `(${value} as num).${conversion}`;
+        }
+        return `${number}${withDefault ? ` ?? ${prop.defValue}` : ''}${endFlag}`;
+      }
+
+      // Class.fromMap(value) or value
+      let mappableProperty = `${!prop.isPrimitive ? prop.type + '.fromMap(' : ''}${value}${!prop.isPrimitive ? ')' : ''}`
+
+      return `${mappableProperty}${addDefault && !prop.isNullable ? ` ?? ${prop.defValue}` : ''}${endFlag}`;
     }
 
-    let method = `factory ${clazz.name}.fromMap(Map<String, dynamic> map) {\n`;
+    /**
+     * Nullable values can only be converted when they are present.
+     * @param {DartClassProperty} prop
+     * @param {string} value
+     * @param {string} conversion
+     */
+    function nullCheck(prop, value, conversion) {
+      return prop.isNullable ? `${value} != null ? ${conversion} : null` : conversion;
+    }
+
+    /**
+     * Decoded lists and maps are always List<dynamic> and Map<String, dynamic>, so nested
+     * collections have to be converted as well as the items that aren't primitives.
+     * @param {DartClassProperty} prop
+     * @param {string} value
+     * @param {number} depth
+     */
+    function collectionMapping(prop, value, depth = 0) {
+      const item = prop.itemType;
+      const isRoot = depth == 0;
+      const defaultValue = isRoot && withDefaultValues && !prop.isNullable ? ` ?? ${prop.defValue}` : '';
+
+      // Iterables are read as lists.
+      const type = toDeclaredType(prop.type);
+      let collection = `${prop.isIterable ? `List${type.substring('Iterable'.length)}` : type}.from(`;
+      // JSON numbers are converted like fields, as a decoded 1 isn't a double (and 1.0 might not be an int).
+      const isNumber = generatingFromJson && (item.isInt || item.isDouble);
+      if (item.isPrimitive && !item.isCollection && !isNumber) {
+        collection += `${value}${defaultValue})`;
+      } else {
+        const x = closureParameter(depth);
+        const itemMapping = item.isCollection ? collectionMapping(item, x, depth + 1) : customTypeMapping(item, x);
+        // Map values might be missing, while top level arrays are always present.
+        const isMissable = isRoot && !prop.isNullable && !clazz.isArray;
+        const source = isMissable ? `${value}?` : value;
+        if (prop.isMap) {
+          const k = closureParameter(depth, 'k');
+          collection += `${source}.map((${k}, ${x}) => MapEntry(${k}, ${itemMapping}))${defaultValue})`;
+        } else {
+          collection += `${source}.map((${x}) => ${itemMapping})${defaultValue})`;
+        }
+      }
+      return nullCheck(prop, value, collection);
+    }
+
+    let method = clazz.isArray ?
+      `factory ${clazz.name}.fromList(List<dynamic> list) {\n` :
+      `factory ${clazz.name}.fromMap(Map<String, dynamic> map) {\n`;
 
     method += '  return ' + clazz.type + '(\n';
     for (let p of props) {
       method += `    ${clazz.hasNamedConstructor ? `${p.name}: ` : ''}`;
 
-      const value = `map['${p.jsonName}']`;
-      if (p.isEnum) {
-        const defaultValue = withDefaultValues ? ' ?? 0' : '';
-        method += `${p.rawType}.values[${value}${defaultValue}],\n`;
-      } else if (p.isCollection) {
-        const defaultValue = withDefaultValues ? ` ?? const ${p.isList ? '[]' : '{}'}` : '';
-
-        method += `${p.type}.from(`;
-        if (p.isPrimitive) {
-          method += `${value}${defaultValue}),\n`;
-        } else {
-          method += `${value}?.map((x) => ${customTypeMapping(p, 'x')})${defaultValue}),\n`;
-        }
+      const value = clazz.isArray ? 'list' : `map['${p.jsonName}']`;
+      if (p.isCollection) {
+        method += `${collectionMapping(p, value)},\n`;
       } else {
         method += customTypeMapping(p);
       }
@@ -425,7 +718,11 @@ class DataClassGenerator {
     }
     method += '}';
 
-    this.appendOrReplace('fromMap', 'serialization', method, `factory ${clazz.name}.fromMap(Map<String, dynamic> map)`, clazz);
+    if (clazz.isArray) {
+      this.appendOrReplace('fromList', 'serialization', method, `factory ${clazz.name}.fromList(List<dynamic> list)`, clazz);
+    } else {
+      this.appendOrReplace('fromMap', 'serialization', method, `factory ${clazz.name}.fromMap(Map<String, dynamic> map)`, clazz);
+    }
   }
 
   /**
@@ -434,7 +731,7 @@ class DataClassGenerator {
   insertToJson(clazz) {
     this.requiresImport('dart:convert');
 
-    const method = 'String toJson() => json.encode(toMap());';
+    const method = `String toJson() => json.encode(${clazz.isArray ? 'toList' : 'toMap'}());`;
     this.appendOrReplace('toJson', 'serialization', method, 'String toJson()', clazz);
   }
 
@@ -444,10 +741,133 @@ class DataClassGenerator {
   insertFromJson(clazz) {
     this.requiresImport('dart:convert');
 
-    const method = `factory ${clazz.name}.fromJson(String source) => ${clazz.name}.fromMap(json.decode(source));`;
+    const method = `factory ${clazz.name}.fromJson(String source) => ${clazz.name}.${clazz.isArray ? 'fromList' : 'fromMap'}(json.decode(source));`;
     this.appendOrReplace('fromJson', 'serialization', method, `factory ${clazz.name}.fromJson(String source)`, clazz);
   }
 
+  /**
+   * Serialization delegated to the code generated by json_serializable: the class is annotated,
+   * properties whose key differs from their name get a @JsonKey, and toJson/fromJson call the generated functions.
+   * @param {DartClass} clazz
+   */
+  insertJsonSerializable(clazz) {
+    this.requiresImport('package:json_annotation/json_annotation.dart', ['package:freezed_annotation/freezed_annotation.dart']);
+    this.requiresImport(`part '${this.getGeneratedPart('g')}';`);
+
+    const withFromJson = readSetting('fromJson.enabled');
+    const withToJson = readSetting('toJson.enabled');
+    const options = [];
+    if (!withFromJson) options.push('createFactory: false');
+    if (!withToJson) options.push('createToJson: false');
+    this.annotate(clazz, `@JsonSerializable(${options.join(', ')})`);
+
+    // Hand-written serialization is replaced by the generated one.
+    for (const part of clazz.initialParts) {
+      if (['toMap', 'fromMap', 'toList', 'fromList'].includes(part.name) ||
+        (part.name == 'toJson' && !withToJson) || (part.name == 'fromJson' && !withFromJson)) {
+        this.remove(part, clazz);
+      }
+    }
+
+    for (const prop of clazz.properties) {
+      if (prop.jsonName != prop.name) {
+        this.annotate(clazz, `@JsonKey(name: ${toDartLiteral(prop.jsonName)})`, prop);
+      }
+    }
+
+    if (clazz.isArray) {
+      // Top level arrays are read through the field holding their items.
+      const items = clazz.properties[0].jsonName;
+      if (withFromJson) {
+        const method = `factory ${clazz.name}.fromJson(List<dynamic> json) => _$${clazz.name}FromJson({'${items}': json});`;
+        this.appendOrReplace('fromJson', 'serialization', method, `factory ${clazz.name}.fromJson(List<dynamic> json)`, clazz);
+      }
+      if (withToJson) {
+        const method = `List<dynamic> toJson() => _$${clazz.name}ToJson(this)['${items}'] as List<dynamic>;`;
+        this.appendOrReplace('toJson', 'serialization', method, 'List<dynamic> toJson()', clazz);
+      }
+      return;
+    }
+
+    if (withFromJson) {
+      const method = `factory ${clazz.name}.fromJson(Map<String, dynamic> json) => _$${clazz.name}FromJson(json);`;
+      this.appendOrReplace('fromJson', 'serialization', method, `factory ${clazz.name}.fromJson(Map<String, dynamic> json)`, clazz);
+    }
+    if (withToJson) {
+      // The discriminator is implied by the variant.
+      const method = clazz.isVariant ?
+        `@override\nMap<String, dynamic> toJson() => {'${clazz.discriminator.key}': ${toDartLiteral(clazz.discriminator.value)}, ..._$${clazz.name}ToJson(this)};` :
+        `Map<String, dynamic> toJson() => _$${clazz.name}ToJson(this);`;
+      this.appendOrReplace('toJson', 'serialization', method, 'Map<String, dynamic> toJson()', clazz);
+    }
+  }
+
+  /**
+   * Turns the class into a freezed class: its properties become the parameters of a const factory constructor,
+   * and the members generated by freezed (fields, copyWith, toString, equality...) are removed.
+   * Properties declared as fields of an existing freezed class are added to its factory.
+   * @param {DartClass} clazz
+   */
+  insertFreezed(clazz) {
+    const withFromJson = readSetting('fromJson.enabled');
+    const withDefaults = readSetting('constructor.default_values');
+    this.requiresImport('package:freezed_annotation/freezed_annotation.dart');
+    this.requiresImport(`part '${this.getGeneratedPart('freezed')}';`);
+    if (withFromJson) this.requiresImport(`part '${this.getGeneratedPart('g')}';`);
+
+    if (!clazz.isFreezed) {
+      this.annotate(clazz, '@freezed');
+      // Freezed 3 requires the class to be abstract (or sealed).
+      clazz.abstract = true;
+    }
+    this.addMixin(clazz, `_$${clazz.name}`);
+
+    let factory = `const factory ${clazz.name}({\n`;
+    for (const prop of clazz.properties) {
+      const annotations = [...prop.annotations];
+      if (prop.jsonName != prop.name && !annotations.some(a => a.startsWith('@JsonKey('))) {
+        annotations.push(`@JsonKey(name: ${toDartLiteral(prop.jsonName)})`);
+      }
+      const hasDefault = withDefaults && !prop.isNullable && (prop.isPrimitive || prop.isCollection) && prop.rawType != 'dynamic';
+      if (hasDefault && !annotations.some(a => a.startsWith('@Default('))) {
+        annotations.push(`@Default(${removeStart(prop.defValue, 'const ')})`);
+      }
+      const isRequired = !prop.isNullable && !annotations.some(a => a.startsWith('@Default('));
+
+      factory += prop.getDocComment();
+      factory += `  ${annotations.map(a => `${a} `).join('')}${isRequired ? 'required ' : ''}${prop.rawType} ${prop.name},\n`;
+    }
+    factory += `}) = _${clazz.name};`;
+
+    const current = clazz.findPart('factory');
+    const constructor = clazz.findPart('constructor');
+    if (current == null && constructor != null) {
+      // The constructor of a plain class is replaced by the factory.
+      constructor.replacement = removeEnd(indent(factory), '\n');
+      this.replace(constructor, clazz);
+    } else {
+      this.appendOrReplace('factory', 'constructor', factory, `const factory ${clazz.name}(`, clazz);
+    }
+
+    // Fields (outside of the factory) are removed with their annotations and documentation.
+    for (const prop of clazz.properties) {
+      if (current != null && prop.lineNumber >= current.startsAt && prop.lineNumber <= current.endsAt) continue;
+
+      const comments = prop.comment != null ? prop.comment.split('\n').length : 0;
+      this.remove(new ClassPart('field', 'constructor', prop.lineNumber - prop.annotations.length - comments, prop.lineNumber), clazz);
+    }
+    for (const part of clazz.initialParts) {
+      if (!['constructor', 'factory', 'fromJson'].includes(part.name)) {
+        this.remove(part, clazz);
+      }
+    }
+
+    if (withFromJson) {
+      const method = `factory ${clazz.name}.fromJson(Map<String, dynamic> json) => _$${clazz.name}FromJson(json);`;
+      this.appendOrReplace('fromJson', 'serialization', method, `factory ${clazz.name}.fromJson(Map<String, dynamic> json)`, clazz);
+    }
+  }
+
   /**
    * @param {DartClass} clazz
    */
@@ -490,13 +910,17 @@ class DataClassGenerator {
   insertEquality(clazz) {
     const props = clazz.properties;
     const hasCollection = props.find((p) => p.isCollection) != undefined;
+    // The collection equality functions of Flutter only compare the items of lists, sets and maps.
+    const isShallow = (p) => (p.isList || p.isSet || p.isMap) && !p.itemType.isCollection;
+    const hasDeepCollection = this.isFlutter && props.find((p) => p.isCollection && !isShallow(p)) != undefined;
 
     let collectionEqualityFn;
     if (hasCollection) {
       // Flutter already has collection equality functions
       // in the foundation package.
       if (this.isFlutter) {
-        this.requiresImport('package:flutter/foundation.dart');
+        if (props.find((p) => isShallow(p)) != undefined) this.requiresImport('package:flutter/foundation.dart');
+        if (hasDeepCollection) this.requiresImport('package:collection/collection.dart');
       } else {
         this.requiresImport('package:collection/collection.dart');
 
@@ -515,11 +939,15 @@ class DataClassGenerator {
     method += '  if (identical(this, other)) return true;\n';
     if (hasCollection && !this.isFlutter)
       method += `  final ${collectionEqualityFn} = const DeepCollectionEquality().equals;\n`
+    if (hasDeepCollection)
+      method += '  final collectionEquals = const DeepCollectionEquality().equals;\n'
     method += '\n';
     method += '  return other is ' + clazz.type + ' &&\n';
     for (let prop of props) {
       if (prop.isCollection) {
-        if (this.isFlutter) collectionEqualityFn = prop.isSet ? 'setEquals' : prop.isMap ? 'mapEquals' : 'listEquals';
+        if (this.isFlutter) {
+          collectionEqualityFn = !isShallow(prop) ? 'collectionEquals' : prop.isSet ? 'setEquals' : prop.isMap ? 'mapEquals' : 'listEquals';
+        }
         method += `    ${collectionEqualityFn}(other.${prop.name}, ${prop.name})`;
       } else {
         method += `    other.${prop.name} == ${prop.name}`;
@@ -543,14 +971,16 @@ class DataClassGenerator {
     method += `int get hashCode ${short ? '=>' : '{\n  return '}`;
 
     if (useJenkins) {
-      // dart:ui import is required for Jenkins hash.
-      this.requiresImport('dart:ui', [
-        'package:flutter/material.dart',
-        'package:flutter/cupertino.dart',
-        'package:flutter/widgets.dart',
-      ]);
-
-      method += `hashList([\n`;
+      if (!this.hasObjectHash) {
+        // dart:ui import is required for Jenkins hash before Object.hashAll.
+        this.requiresImport('dart:ui', [
+          'package:flutter/material.dart',
+          'package:flutter/cupertino.dart',
+          'package:flutter/widgets.dart',
+        ]);
+      }
+
+      method += `${this.hasObjectHash ? 'Object.hashAll' : 'hashList'}([\n`;
       for (let p of props) {
         method += '    ' + p.name + `,\n`;
       }
@@ -602,7 +1032,7 @@ class DataClassGenerator {
     const short = props.length <= 4;
     const split = short ? ', ' : ',\n';
     let method = '@override\n';
-    method += `List<Object> get props ${!short ? '{\n' : '=>'}`;
+    method += `List<Object${this.isNullSafe ? '?' : ''}> get props ${!short ? '{\n' : '=>'}`;
     method += `${!short ? '  return' : ''} ` + '[' + (!short ? '\n' : '');
     for (let prop of props) {
       const isLast = prop.name == props[props.length - 1].name;
@@ -649,6 +1079,27 @@ class DataClassGenerator {
     clazz.superclass = clazzName;
   }
 
+  /**
+   * Annotates the class, or one of its properties, unless it already has an annotation of the same kind.
+   * Classes read from Dart code get the annotation inserted above their declaration.
+   * @param {DartClass} clazz
+   * @param {string} annotation
+   * @param {DartClassProperty} prop
+   */
+  annotate(clazz, annotation, prop = null) {
+    const target = prop || clazz;
+    const kind = annotation.replace(/\(.*$/, '');
+    if (target.annotations.some(a => a.replace(/\(.*$/, '') == kind)) return;
+
+    target.annotations.push(annotation);
+    if (!this.fromJSON) {
+      const line = prop != null ? prop.lineNumber : clazz.startsAt;
+      const part = new ClassPart(kind.substring(1), 'serialization', line, line);
+      part.replacement = (prop != null ? '  ' : '') + annotation + '\n';
+      clazz.toInsert.push(part);
+    }
+  }
+
   /**
    * @param {string} partName
    * @param {string} groupName
@@ -684,6 +1135,18 @@ class DataClassGenerator {
     clazz.toInsert.push(part);
   }
 
+  /**
+   * Removes a part, e.g. a member generated by freezed.
+   * @param {ClassPart} part
+   * @param {DartClass} clazz
+   */
+  remove(part, clazz) {
+    if (!this.fromJSON) {
+      part.replacement = null;
+      clazz.toReplace.push(part);
+    }
+  }
+
   /**
    * @param {ClassPart} part
    * @param {DartClass} clazz
@@ -697,4 +1160,5 @@ class DataClassGenerator {
 
 module.exports = {
   DataClassGenerator,
+  migrateToNullSafety,
 }
@@ -1,5 +1,11 @@
 const vscode = require('vscode');
 
+const { DartClassReader } = require('./readers/dart_class_reader');
+const {
+  DartStringLiteral, // eslint-disable-line no-unused-vars
+  findStringLiteral,
+} = require('./readers/dart_string_literal');
+
 const {
   DartClass,
   Imports, // eslint-disable-line no-unused-vars
@@ -7,10 +13,20 @@ const {
 
 const {
   getDoc,
+  isBlank,
   showInfo,
   showError,
+  usesJsonSerializable,
 } = require('./helpers');
 
+/**
+ * Uses of the members of dart:convert, e.g. json.encode or utf8.
+ */
+const DART_CONVERT_USAGE = new RegExp('\\b(' + [
+  'json\\.', 'jsonEncode', 'jsonDecode', 'JsonCodec', 'JsonEncoder', 'JsonDecoder', 'JsonUnsupportedObjectError', 'JsonCyclicError',
+  'utf8', 'Utf8Codec', 'Utf8Encoder', 'Utf8Decoder', 'ascii', 'latin1', 'base64', 'base64Url', 'base64Encode', 'base64Decode',
+  'Base64Codec', 'Base64Encoder', 'Base64Decoder', 'htmlEscape', 'HtmlEscape', 'LineSplitter', 'Codec', 'Converter', 'Encoding',
+].join('|') + ')\\b');
 
 /**
  * @param {vscode.TextEditorEdit} editor
@@ -51,6 +67,35 @@ function editorDelete(editor, from = null, to = null) {
   );
 }
 
+/**
+ * Ranges of the parts removed from a class (their replacement being null), with their @override annotation.
+ * Blank lines left behind are removed as well, so that members stay separated by a single one.
+ *
+ * @param {DartClass} clazz
+ * @returns {vscode.Range[]}
+ */
+function getRemovedRanges(clazz) {
+  const lineText = (line) => getDoc().lineAt(line - 1).text.trim();
+  const ranges = clazz.toReplace
+    .filter(rr => rr.replacement == null)
+    .map(rr => ({ start: rr.startsAt > 1 && lineText(rr.startsAt - 1) == '@override' ? rr.startsAt - 1 : rr.startsAt, end: rr.endsAt }))
+    .sort((a, b) => a.start - b.start);
+  const isRemoved = (line) => ranges.some(range => line >= range.start && line <= range.end);
+
+  for (const range of ranges) {
+    let before = range.start - 1;
+    while (isRemoved(before)) before--;
+    const isSeparated = before < 1 || isBlank(lineText(before)) || lineText(before).endsWith('{');
+
+    if (range.end < getDoc().lineCount && isBlank(lineText(range.end + 1)) && isSeparated) {
+      range.end++;
+    } else if (lineText(range.end + 1).startsWith('}') && before > 0 && isBlank(lineText(before))) {
+      range.start = before;
+    }
+  }
+  return ranges.map(range => new vscode.Range(new vscode.Position(range.start - 1, 0), new vscode.Position(range.end, 0)));
+}
+
 /**
  * Generates the workspace edit required
  *
@@ -71,7 +116,11 @@ function getReplaceEdit(values, imports = null, showLogs = false) {
 
     if (clazz.isValid) {
       if (clazz.didChange) {
-        for (const rr of clazz.toReplace) {
+        for (const range of getRemovedRanges(clazz)) {
+          edit.delete(uri, range);
+        }
+
+        for (const rr of clazz.toReplace.filter(rr => rr.replacement != null)) {
           // console.log(`toReplace (${rr.name}): ${rr.startsAt} til ${rr.endsAt}`)
           edit.replace(uri, new vscode.Range(
             new vscode.Position(rr.startsAt - 1, 0),
@@ -81,7 +130,8 @@ function getReplaceEdit(values, imports = null, showLogs = false) {
 
         for (const rr of clazz.toInsert) {
           // console.log(`toInsert (${rr.name}): ${clazz.endsAt}`)
-          edit.insert(uri, new vscode.Position(clazz.endsAt - 1, 0),
+          // Parts are appended to the class, unless they belong to a line (e.g. annotations).
+          edit.insert(uri, new vscode.Position((rr.startsAt != null ? rr.startsAt : clazz.endsAt) - 1, 0),
             rr.replacement);
         }
 
@@ -103,6 +153,17 @@ function getReplaceEdit(values, imports = null, showLogs = false) {
     }
   }
 
+  // Replacing the hand-written serialization leaves dart:convert unused, unless the rest of the file uses it.
+  if (imports != null && usesJsonSerializable()) {
+    const isReplaced = (line) => clazzes.some(clazz => clazz.isValid && clazz.didChange &&
+      clazz.toReplace.some(rr => line >= rr.startsAt && line <= rr.endsAt));
+    const code = getDoc().getText()
+      .split('\n')
+      .filter((_, i) => !isReplaced(i + 1))
+      .join('\n');
+    imports.removeUnusedImport('dart:convert', DART_CONVERT_USAGE, code);
+  }
+
   // If imports need to be inserted, do it at the top of the file.
   if (imports != null && imports.hasImports) {
     // Imports must be separated by at least one line because otherwise we get an overlapping range error
@@ -118,8 +179,90 @@ function getReplaceEdit(values, imports = null, showLogs = false) {
   return edit;
 }
 
+/**
+ * JSON read from a part of a Dart document.
+ *
+ * @typedef {Object} JsonSelection
+ * @property {string} text
+ * @property {(offset: number) => number} offsetAt Offset in the document of an offset in the text
+ * @property {vscode.Range} target Range replaced by the generated classes, or position they are inserted at
+ */
+
+/**
+ * Reads the JSON selected in a Dart document, or the JSON string literal holding the cursor,
+ * without locating where the generated classes go.
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @param {DartStringLiteral} literal String literal holding the start of the range (null if none), when already found
+ * @returns {{ text: string; offsetAt: (offset: number) => number; isInLiteral: boolean; }} The JSON, or null if there is none
+ */
+function readJsonSelection(document, range, literal = findStringLiteral(document.getText(), document.offsetAt(range.start))) {
+  const start = document.offsetAt(range.start);
+  const end = document.offsetAt(range.end);
+  const isInLiteral = literal != null && end <= literal.end;
+
+  let text;
+  let offsetAt;
+  if (isInLiteral && range.isEmpty) {
+    text = literal.value;
+    offsetAt = (offset) => literal.offsetAt(offset);
+  } else if (isInLiteral) {
+    const from = literal.indexAt(start);
+    text = literal.value.substring(from, literal.indexAt(end));
+    offsetAt = (offset) => literal.offsetAt(from + offset);
+  } else {
+    text = document.getText(range);
+    offsetAt = (offset) => start + offset;
+  }
+  if (!/^\s*[{[]/.test(text)) {
+    return null;
+  }
+
+  return { text, offsetAt, isInLiteral };
+}
+
+/**
+ * Reads the JSON selected in a Dart document, or the JSON string literal holding the cursor.
+ *
+ * Selected JSON is replaced by the generated classes, unless it is part of a class or a string literal:
+ * classes are then inserted after the class, or after the declaration holding the literal (e.g. a test).
+ *
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Range} range
+ * @returns {JsonSelection} The JSON, or null if there is none
+ */
+function getJsonSelection(document, range) {
+  const json = readJsonSelection(document, range);
+  if (json == null) {
+    return null;
+  }
+
+  const source = document.getText();
+  const line = range.start.line + 1;
+  const reader = new DartClassReader(source, null, null);
+  const clazz = reader.theClasses.find((c) => c.startsAt <= line && c.endsAt >= line);
+
+  let target = range;
+  if (clazz != null || json.isInLiteral) {
+    // Top level declarations end with a closing brace at the start of a line (outside of multiline strings).
+    const isDeclarationEnd = (line) => document.lineAt(line).text.startsWith('}') &&
+      findStringLiteral(source, document.offsetAt(new vscode.Position(line, 0))) == null;
+    let endLine = clazz != null ? clazz.endsAt - 1 : range.end.line;
+    while (endLine < document.lineCount - 1 && !isDeclarationEnd(endLine)) {
+      endLine++;
+    }
+    const position = document.lineAt(endLine).range.end;
+    target = new vscode.Range(position, position);
+  }
+
+  return { text: json.text, offsetAt: json.offsetAt, target };
+}
+
 module.exports = {
   getReplaceEdit,
+  getJsonSelection,
+  readJsonSelection,
   editorDelete,
   editorInsert,
   editorReplace,
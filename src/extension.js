@@ -9,11 +9,23 @@ const {
 const {
   characterizeProject,
 } = require('./helpers');
+const {
+  JsonSchemaReader,
+} = require('./readers/json_schema_reader');
 
 const {
   generateDataClass,
+  syncDataClassWithJson,
   generateDataClassFromJson,
   generateDataClassFromJsonWithTemplate,
+  generateDataClassFromOpenApi,
+  generateDataClassFromHttpCapture,
+  generateDataClassFromJsonSamples,
+  generateDataClassFromJsonFolder,
+  stopWatchingFolders,
+  generateDataClassFromJsonSelection,
+  generateDataClassFromClipboard,
+  migrateDataClassesToNullSafety,
 } = require('./commands/commands');
 
 /**
@@ -34,6 +46,24 @@ async function activate(context) {
     )
   );
 
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.sync_with_json',
+      () => {
+        syncDataClassWithJson(isFlutter, projectName);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.migrate.null_safety',
+      () => {
+        migrateDataClassesToNullSafety(projectName);
+      }
+    )
+  );
+
   context.subscriptions.push(
     vscode.commands.registerCommand(
       'dart-data-o-matic.generate.from_json',
@@ -43,6 +73,69 @@ async function activate(context) {
     )
   );
 
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_json_samples',
+      () => {
+        generateDataClassFromJsonSamples(isFlutter, projectName);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_json_selection',
+      (range) => {
+        generateDataClassFromJsonSelection(isFlutter, projectName, range);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_clipboard',
+      () => {
+        generateDataClassFromClipboard(isFlutter, projectName);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_json_folder',
+      (uri) => {
+        generateDataClassFromJsonFolder(isFlutter, projectName, uri);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_json_schema',
+      () => {
+        generateDataClassFromJson(isFlutter, projectName, JsonSchemaReader);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_open_api',
+      () => {
+        generateDataClassFromOpenApi(isFlutter, projectName);
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'dart-data-o-matic.generate.from_http_capture',
+      () => {
+        generateDataClassFromHttpCapture(isFlutter, projectName);
+      }
+    )
+  );
+
   context.subscriptions.push(
     vscode.commands.registerCommand(
       'dart-data-o-matic.generate.from_json_with_template',
@@ -57,11 +150,14 @@ async function activate(context) {
   }, new DataClassCodeActions(isFlutter, projectName), {
     providedCodeActionKinds: [
       vscode.CodeActionKind.QuickFix,
+      vscode.CodeActionKind.RefactorExtract,
     ],
   }));
 }
 
-function deactivate() { }
+function deactivate() {
+  stopWatchingFolders();
+}
 
 module.exports = {
   activate,
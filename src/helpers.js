@@ -1,6 +1,11 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const changeCase = require('change-case');
+const pluralize = require('pluralize');
+
+// Keys like 'data' or 'metadata' are rather used as uncountable nouns.
+pluralize.addUncountableRule('data');
 
 /**
  * @param {number} from
@@ -43,6 +48,13 @@ function readSetting(key) {
   return vscode.workspace.getConfiguration().get('dart-data-o-matic.' + key);
 }
 
+/**
+ * Whether serialization is left to json_serializable, which freezed classes rely on as well.
+ */
+function usesJsonSerializable() {
+  return readSetting('serialization') == 'json_serializable' || readSetting('freezed.enabled') == true;
+}
+
 /**
  * @param {string[]} keys
  */
@@ -70,22 +82,32 @@ function showInfo(msg) {
   vscode.window.showInformationMessage(msg);
 }
 
+/** @type {vscode.OutputChannel} */
+let outputChannel = null;
+
+function getOutputChannel() {
+  if (outputChannel == null) {
+    outputChannel = vscode.window.createOutputChannel('Dart Data-O-matic');
+  }
+  return outputChannel;
+}
+
+/** @type {vscode.DiagnosticCollection} */
+let diagnostics = null;
+
+function getDiagnostics() {
+  if (diagnostics == null) {
+    diagnostics = vscode.languages.createDiagnosticCollection('dart-data-o-matic');
+  }
+  return diagnostics;
+}
+
 /**
  * @param {string} name
  */
 function createFileName(name) {
-  let r = '';
-  for (let i = 0; i < name.length; i++) {
-    let c = name[i];
-    if (c == c.toUpperCase()) {
-      if (i == 0) r += c.toLowerCase();
-      else r += '_' + c.toLowerCase();
-    } else {
-      r += c;
-    }
-  }
-
-  return r;
+  // Acronyms and digits are kept as a single word, e.g. HttpServer2 and HTTPServer2 give http_server2.
+  return changeCase.snakeCase(name);
 }
 
 /**
@@ -180,27 +202,12 @@ function toVarName(source) {
   ];
 
   let s = source;
-  let r = '';
-
-  /**
-   * @param {string} char
-   */
-  let replace = (char) => {
-    if (s.includes(char)) {
-      const splits = s.split(char);
-      for (let i = 0; i < splits.length; i++) {
-        let w = splits[i];
-        i > 0 ? r += capitalize(w) : r += w;
-      }
-    }
-  }
 
-  // Replace invalid variable characters like '-'.
-  replace('-');
-  replace('~');
-  replace(':');
-  replace('#');
-  replace('$');
+  // Replace invalid variable characters like '-', capitalizing the word following them.
+  let r = s.split(/[^A-Za-z0-9_]+/)
+    .filter(w => w.length > 0)
+    .map((w, i) => i > 0 ? capitalize(w) : w)
+    .join('');
 
   if (r.length == 0)
     r = s;
@@ -214,6 +221,30 @@ function toVarName(source) {
   return r;
 }
 
+/**
+ * Make a camelCase name from a string, e.g. 'created_at' or 'Created-At' become createdAt.
+ * Words in capitals are treated as regular words (USER_ID becomes userId) unless mixed with lowercase (userID).
+ * @param {string} source
+ */
+function toCamelCase(source) {
+  return source.split(/[^A-Za-z0-9]+/)
+    .filter(w => w.length > 0)
+    .map(w => w == w.toUpperCase() ? w.toLowerCase() : w)
+    .map((w, i) => i > 0 ? capitalize(w) : w[0].toLowerCase() + w.substring(1))
+    .join('');
+}
+
+/**
+ * Writes a JSON value as a Dart literal.
+ * @param {any} value
+ */
+function toDartLiteral(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$')}'`;
+  }
+  return JSON.stringify(value);
+}
+
 /**
  * @param {string} source
  */
@@ -230,6 +261,37 @@ function capitalize(source) {
   return s;
 }
 
+/**
+ * Make a valid Dart class name from a string, e.g. 'user-profile' becomes UserProfile.
+ * @param {string} source
+ */
+function toClassName(source) {
+  const dartCoreTypes = [
+    'BigInt', 'DateTime', 'Duration', 'Enum', 'Error', 'Exception', 'Function', 'Future', 'Iterable',
+    'List', 'Map', 'Null', 'Object', 'Pattern', 'Record', 'RegExp', 'Set', 'Stream', 'String', 'Symbol', 'Type', 'Uri',
+  ];
+
+  let name = source.split(/[^A-Za-z0-9]+/).map(word => capitalize(word)).join('');
+  if (name.length == 0) return 'Model';
+  if (/^[0-9]/.test(name)) name = `Model${name}`;
+  if (dartCoreTypes.includes(name)) name = `${name}Model`;
+  return name;
+}
+
+/**
+ * Singular of the last word of a key, e.g. 'userAddresses' becomes 'userAddress'.
+ * @param {string} source
+ */
+function singularize(source) {
+  const match = /([A-Z]?[a-z]+|[A-Z]+)$/.exec(source);
+  if (match == null) return source;
+
+  const singular = pluralize.singular(match[0]);
+  // Keys such as 's' have no singular.
+  if (singular.length == 0) return source;
+  return source.substring(0, match.index) + singular;
+}
+
 /**
  * @param {string} content
  * @param {string} name
@@ -282,12 +344,81 @@ async function characterizeProject() {
   return [isFlutterProject, null];
 }
 
+/**
+ * Dart SDK constraints read from pubspec.yaml files, by path, kept until the file is modified.
+ * @type {Map<string, { mtime: number; version: number[]; }>}
+ */
+const dartVersions = new Map();
+
+/**
+ * Lower bound of the Dart SDK constraint of a pubspec.yaml, e.g. [2, 12] for '>=2.12.0 <3.0.0'.
+ *
+ * @param {string} content
+ * @returns {number[]} The major and minor versions, or null if there is no constraint
+ */
+function parseDartVersion(content) {
+  const environment = /^environment:[ \t]*\r?\n((?:[ \t]+.*(?:\r?\n|$))*)/m.exec(content);
+  const sdk = environment != null ? /^\s*sdk:\s*['"]?([^'"\r\n]*)/m.exec(environment[1]) : null;
+  const version = sdk != null ? /^(?:>=|\^)?\s*(\d+)\.(\d+)/.exec(sdk[1].trim()) : null;
+  return version != null ? [Number(version[1]), Number(version[2])] : null;
+}
+
+/**
+ * Lower bound of the Dart SDK constraint of the package being edited, read from its closest pubspec.yaml,
+ * e.g. [2, 12] for '>=2.12.0 <3.0.0'.
+ *
+ * @param {string} location Folder (or file) of the package, the current document by default
+ * @returns {number[]} The major and minor versions, or null if unknown
+ */
+function readDartVersion(location = null) {
+  let folder = null;
+  if (location != null) {
+    folder = fs.existsSync(location) && fs.statSync(location).isDirectory() ? location : path.dirname(location);
+  } else if (getEditor() != null && getDoc().uri.scheme === 'file') {
+    folder = path.dirname(getDoc().fileName);
+  } else if (vscode.workspace.workspaceFolders != null && vscode.workspace.workspaceFolders.length > 0) {
+    folder = vscode.workspace.workspaceFolders[0].uri.fsPath;
+  }
+
+  while (folder != null) {
+    const pubspec = path.join(folder, 'pubspec.yaml');
+    if (fs.existsSync(pubspec)) {
+      const mtime = fs.statSync(pubspec).mtimeMs;
+      const cached = dartVersions.get(pubspec);
+      if (cached == null || cached.mtime != mtime) {
+        dartVersions.set(pubspec, { mtime, version: parseDartVersion(fs.readFileSync(pubspec, 'utf8')) });
+      }
+      return dartVersions.get(pubspec).version;
+    }
+    const parent = path.dirname(folder);
+    folder = parent != folder ? parent : null;
+  }
+  return null;
+}
+
+/**
+ * Whether the package being edited can use the features of a Dart version, e.g. [2, 12] for null safety.
+ * Packages whose SDK constraint is unknown are assumed to use a recent version.
+ *
+ * @param {number[]} version
+ * @param {string} location Folder (or file) of the package, the current document by default
+ */
+function supportsDartVersion(version, location = null) {
+  const current = readDartVersion(location);
+  return current == null || current[0] > version[0] || (current[0] == version[0] && current[1] >= version[1]);
+}
+
 module.exports = {
   characterizeProject,
+  supportsDartVersion,
   writeFile,
   getCurrentPath,
   capitalize,
   toVarName,
+  toCamelCase,
+  toClassName,
+  singularize,
+  toDartLiteral,
   areStrictEqual,
   isBlank,
   removeStart,
@@ -301,6 +432,9 @@ module.exports = {
   getLangId,
   readSetting,
   readSettings,
+  usesJsonSerializable,
   showError,
   showInfo,
+  getOutputChannel,
+  getDiagnostics,
 }
\ No newline at end of file
@@ -54,6 +54,64 @@ function count(source, match) {
   return source.split(match).length - 1;
 }
 
+/**
+ * Splits a list (e.g. of parameters) on its top level commas, keeping the ones of generics, calls or literals.
+ *
+ * @param {string} source
+ * @returns {{ text: string; offset: number; }[]}
+ */
+function splitTopLevel(source) {
+  const items = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i <= source.length; i++) {
+    const char = source[i];
+    if ('(<[{'.includes(char) && i < source.length) depth++;
+    if (')>]}'.includes(char) && i < source.length) depth--;
+    if (i == source.length || (char == ',' && depth == 0)) {
+      items.push({ text: source.substring(start, i), offset: start });
+      start = i + 1;
+    }
+  }
+  return items.filter(item => item.text.trim().length > 0);
+}
+
+/**
+ * Reads the annotations starting a declaration, e.g. `@JsonKey(name: 'id') @Default(0) int id`.
+ *
+ * @param {string} source
+ * @returns {[string[], string]} The annotations, and the rest of the declaration
+ */
+function splitAnnotations(source) {
+  const annotations = [];
+  let rest = source.trim();
+  while (rest.startsWith('@')) {
+    let end = /^@[\w.]+/.exec(rest)[0].length;
+    if (rest[end] == '(') {
+      let depth = 0;
+      for (; end < rest.length; end++) {
+        if (rest[end] == '(') depth++;
+        if (rest[end] == ')' && --depth == 0) break;
+      }
+      end++;
+    }
+    annotations.push(rest.substring(0, end));
+    rest = rest.substring(end).trim();
+  }
+  return [annotations, rest];
+}
+
+/**
+ * Key of a renamed field, from its json_serializable annotation, e.g. `@JsonKey(name: 'created_at')`.
+ *
+ * @param {string[]} annotations
+ * @returns {string} The key, or null if the field isn't renamed
+ */
+function readJsonKey(annotations) {
+  const jsonKey = annotations.map((a) => /^@JsonKey\(.*\bname: '([^']+)'/.exec(a)).find((match) => match != null);
+  return jsonKey != null ? jsonKey[1] : null;
+}
+
 const normalizeWithoutGenerics = (src) => {
   let result = '';
   let generics = 0;
@@ -116,6 +174,7 @@ class DartClassReader {
         aClass = new DartClass();
         aClass.abstract = line.trimLeft().startsWith('abstract class ');
         aClass.startsAt = lineNumber;
+        aClass.annotations = this.readAnnotations(lines, i);
 
         let classNext = false;
         let extendsNext = false;
@@ -198,6 +257,8 @@ class DartClassReader {
 
           aPart = new ClassPart(partIdentifiers[0], partIdentifiers[1]);
           aPart.startsAt = lineNumber
+          // Classes wrapping a top level JSON array are deserialized from a list.
+          if (aPart.name == 'fromList') aClass.isArray = true;
         }
         if (aPart) {
           aPart.current += line + '\n'; // HACK: Might not be needed in the future
@@ -294,6 +355,11 @@ class DartClassReader {
                 prop.isEnum = prevLine.match(/.*\/\/(\s*)enum/) != null;
               }
 
+              prop.annotations = this.readAnnotations(lines, i);
+              prop.comment = this.readDocComment(lines, i - prop.annotations.length);
+              // Keys of renamed fields are kept from json_serializable, e.g. `@JsonKey(name: 'created_at')`.
+              prop.jsonName = readJsonKey(prop.annotations) || prop.jsonName;
+
               aClass.properties.push(prop);
             }
           }
@@ -301,10 +367,98 @@ class DartClassReader {
       }
     }
 
+    // Properties of freezed classes are the parameters of their factory constructor.
+    for (const clazz of theClasses) {
+      const factory = clazz.initialParts.find((part) => part.name == 'factory');
+      if (clazz.isFreezed && factory != null) {
+        clazz.properties.unshift(...this.readFactoryParameters(factory));
+      }
+    }
+
+    // Keys of renamed fields are kept from the existing fromMap, e.g. `createdAt: map['created_at']`.
+    for (const clazz of theClasses) {
+      const fromMap = clazz.initialParts.find((part) => part.name == 'fromMap');
+      if (fromMap == null) continue;
+
+      for (const prop of clazz.properties) {
+        const match = new RegExp(`(^|[\\s(,])${prop.name.replace(/\$/g, '\\$')}:[^\\n]*?map\\['([^']+)'\\]`).exec(fromMap.current);
+        if (match != null) prop.jsonName = match[2];
+      }
+    }
+
     return theClasses;
   }
 
 
+  /**
+   * Reads the parameters of the factory constructor of a freezed class, e.g. `@Default(0) int count`.
+   *
+   * @param {ClassPart} factory
+   * @returns {DartClassProperty[]}
+   */
+  readFactoryParameters(factory) {
+    const source = factory.current;
+    const start = source.indexOf('(') + 1;
+    let end = start;
+    for (let depth = 1; end < source.length; end++) {
+      if (source[end] == '(') depth++;
+      if (source[end] == ')' && --depth == 0) break;
+    }
+
+    const properties = [];
+    for (const parameter of splitTopLevel(source.substring(start, end).replace(/[{}[\]]\s*$|^\s*[{[]/g, (m) => ' '.repeat(m.length)))) {
+      const lines = parameter.text.split('\n');
+      const comment = lines.filter((l) => l.trim().startsWith('///')).map((l) => l.trim().replace(/^\/\/\/ ?/, ''));
+      const code = lines.filter((l) => !l.trim().startsWith('//')).join(' ');
+
+      const [annotations, declaration] = splitAnnotations(code);
+      // Default values of positional parameters are dropped, e.g. `int count = 0`.
+      const words = declaration.replace(/=.*$/, '')
+        .trim()
+        .split(/\s+/)
+        .filter((w) => w != 'required' && w != 'final');
+      if (words.length < 2) continue;
+
+      const lineNumber = factory.startsAt + count(source.substring(0, start + parameter.offset + parameter.text.trimEnd().length), '\n');
+      const prop = new DartClassProperty(words.slice(0, -1).join(' '), words[words.length - 1], lineNumber);
+      prop.annotations = annotations;
+      prop.comment = comment.length > 0 ? comment.join('\n') : null;
+      prop.jsonName = readJsonKey(annotations) || prop.jsonName;
+      properties.push(prop);
+    }
+    return properties;
+  }
+
+  /**
+   * Reads the documentation comment (`///`) on the lines preceding a declaration.
+   *
+   * @param {string[]} lines
+   * @param {number} i Index of the line of the declaration
+   * @returns {string} The comment, or null if there is none
+   */
+  readDocComment(lines, i) {
+    const comment = [];
+    for (let j = i - 1; j >= 0 && lines[j].trim().startsWith('///'); j--) {
+      comment.unshift(lines[j].trim().replace(/^\/\/\/ ?/, ''));
+    }
+    return comment.length > 0 ? comment.join('\n') : null;
+  }
+
+  /**
+   * Reads the annotations on the lines preceding a declaration, one per line (e.g. `@JsonSerializable()`).
+   *
+   * @param {string[]} lines
+   * @param {number} i Index of the line of the declaration
+   * @returns {string[]}
+   */
+  readAnnotations(lines, i) {
+    const annotations = [];
+    for (let j = i - 1; j >= 0 && lines[j].trim().startsWith('@'); j--) {
+      annotations.unshift(lines[j].trim());
+    }
+    return annotations;
+  }
+
   // TODO: Identify part match on the reader for constructor ?
   /**
    *
@@ -319,6 +473,15 @@ class DartClassReader {
       [`factory ${clazz.name}.fromMap(Map<String, dynamic> map)`, ['fromMap', 'serialization']],
       ['String toJson()', ['toJson', 'serialization']],
       [`factory ${clazz.name}.fromJson(String source)`, ['fromJson', 'serialization']],
+      // freezed
+      [`const factory ${clazz.name}(`, ['factory', 'constructor']],
+      [`factory ${clazz.name}(`, ['factory', 'constructor']],
+      // json_serializable
+      ['Map<String, dynamic> toJson()', ['toJson', 'serialization']],
+      ['List<dynamic> toJson()', ['toJson', 'serialization']],
+      [`factory ${clazz.name}.fromJson(`, ['fromJson', 'serialization']],
+      ['List<dynamic> toList()', ['toList', 'serialization']],
+      [`factory ${clazz.name}.fromList(List<dynamic> list)`, ['fromList', 'serialization']],
       ['bool get stringify', ['stringify', 'toString']],
       ['String toString()', ['toString', 'toString']],
       ['bool operator ==', ['equality', 'equality']],
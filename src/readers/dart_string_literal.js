@@ -0,0 +1,177 @@
+/**
+ * A string literal of Dart code, e.g. '{"id": 1}' or r'''...'''.
+ */
+class DartStringLiteral {
+  /**
+   * @param {number} start Offset of the literal, including its prefix and quotes
+   * @param {number} end Offset following the closing quotes
+   * @param {string} value Content of the literal, with its escape sequences resolved
+   * @param {number[]} offsets Offset in the source of each character of the value (and of the closing quotes)
+   */
+  constructor(start, end, value, offsets) {
+    this.start = start;
+    this.end = end;
+    this.value = value;
+    this.offsets = offsets;
+  }
+
+  /**
+   * Offset in the source of a position in the value.
+   *
+   * @param {number} index
+   */
+  offsetAt(index) {
+    return this.offsets[Math.min(Math.max(index, 0), this.offsets.length - 1)];
+  }
+
+  /**
+   * Position in the value of an offset in the source.
+   *
+   * @param {number} offset
+   */
+  indexAt(offset) {
+    const index = this.offsets.findIndex(o => o >= offset);
+    return index < 0 ? this.value.length : index;
+  }
+}
+
+/**
+ * Whether a literal starts at the given offset, at its opening quote or at its `r` prefix (not ending an identifier).
+ *
+ * @param {string} source
+ * @param {number} pos
+ */
+function isLiteralStart(source, pos) {
+  return /['"]/.test(source[pos]) || (/^r['"]/.test(source.substring(pos, pos + 2)) && !/[\w$]/.test(source[pos - 1] || ''));
+}
+
+/**
+ * Finds the end of the interpolated expression starting at the given offset (at its `${`),
+ * which may hold braces and string literals of its own, e.g. '${map['id']}'.
+ *
+ * @param {string} source
+ * @param {number} start
+ * @returns {number} Offset following the closing brace, or null if it isn't closed
+ */
+function skipInterpolation(source, start) {
+  let depth = 0;
+  let pos = start + 1;
+  while (pos < source.length) {
+    if (isLiteralStart(source, pos)) {
+      const literal = readStringLiteral(source, pos);
+      if (literal == null) return null;
+      pos = literal.end;
+      continue;
+    }
+
+    if (source[pos] == '{') {
+      depth++;
+    } else if (source[pos] == '}' && --depth == 0) {
+      return pos + 1;
+    }
+    pos++;
+  }
+  return null;
+}
+
+/**
+ * Reads the string literal starting at the given offset (at its `r` prefix or its opening quote).
+ * Interpolations are kept as they are, as they can't be resolved.
+ *
+ * @param {string} source
+ * @param {number} start
+ * @returns {DartStringLiteral} The literal, or null if it isn't terminated
+ */
+function readStringLiteral(source, start) {
+  const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+  let pos = start;
+  const isRaw = source[pos] == 'r';
+  if (isRaw) pos++;
+  const quote = source.startsWith(source[pos].repeat(3), pos) ? source[pos].repeat(3) : source[pos];
+  pos += quote.length;
+
+  let value = '';
+  const offsets = [];
+  while (!source.startsWith(quote, pos)) {
+    if (pos >= source.length || (quote.length == 1 && source[pos] == '\n')) return null;
+
+    if (!isRaw && source.startsWith('${', pos)) {
+      const end = skipInterpolation(source, pos);
+      if (end == null) return null;
+      for (; pos < end; pos++) {
+        offsets.push(pos);
+        value += source[pos];
+      }
+      continue;
+    }
+
+    offsets.push(pos);
+    if (isRaw || source[pos] != '\\') {
+      value += source[pos++];
+      continue;
+    }
+
+    const escaped = source[pos + 1];
+    const unicode = /^(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|u\{[0-9a-fA-F]{1,6}\})/.exec(source.substring(pos + 1, pos + 10));
+    if (unicode != null) {
+      value += String.fromCodePoint(parseInt(unicode[0].replace(/[xu{}]/g, ''), 16));
+      pos += 1 + unicode[0].length;
+    } else {
+      value += escaped in escapes ? escapes[escaped] : escaped;
+      pos += 2;
+    }
+  }
+  offsets.push(pos);
+
+  return new DartStringLiteral(start, pos + quote.length, value, offsets);
+}
+
+/**
+ * Finds the string literals of Dart code, skipping comments.
+ * Adjacent literals aren't joined.
+ *
+ * @param {string} source
+ * @param {number} until Offset after which no more literals are looked for
+ * @returns {DartStringLiteral[]}
+ */
+function findStringLiterals(source, until = source.length) {
+  const literals = [];
+  let pos = 0;
+  while (pos < source.length && pos <= until) {
+    if (source.startsWith('//', pos)) {
+      const end = source.indexOf('\n', pos);
+      pos = end < 0 ? source.length : end;
+    } else if (source.startsWith('/*', pos)) {
+      const end = source.indexOf('*/', pos + 2);
+      pos = end < 0 ? source.length : end + 2;
+    } else if (isLiteralStart(source, pos)) {
+      const literal = readStringLiteral(source, pos);
+      if (literal == null) break;
+      literals.push(literal);
+      pos = literal.end;
+    } else {
+      pos++;
+    }
+  }
+  return literals;
+}
+
+/**
+ * Finds the string literal of Dart code holding the given offset.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {DartStringLiteral} The literal, or null if the offset isn't in a string literal
+ */
+function findStringLiteral(source, offset) {
+  const literals = findStringLiterals(source, offset);
+  const literal = literals[literals.length - 1];
+  return literal != null && offset >= literal.start && offset <= literal.end ? literal : null;
+}
+
+module.exports = {
+  DartStringLiteral,
+  findStringLiteral,
+  findStringLiterals,
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+const { JsonReader } = require('./json_reader');
+
+const {
+  DartFile,
+} = require('../types');
+
+const {
+  toClassName,
+  singularize,
+  isBlank,
+} = require('../helpers');
+
+/**
+ * A JSON response of captured traffic, with the request it answers.
+ *
+ * @typedef {Object} HttpResponse
+ * @property {string} method
+ * @property {string} url
+ * @property {number} status
+ * @property {string} contentType Content type of the body, if given
+ * @property {string} body
+ */
+
+/**
+ * Responses of the same endpoint, e.g. 'GET /users/{id}'.
+ *
+ * @typedef {Object} HttpEndpoint
+ * @property {string} label
+ * @property {number} status
+ * @property {string} className Name derived from the path, e.g. 'UserResponse'
+ * @property {string[]} bodies
+ */
+
+/**
+ * @param {string} body
+ */
+function isJsonBody(body) {
+  try {
+    const value = JSON.parse(body);
+    return value != null && typeof value === 'object';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Responses of a HAR capture (e.g. exported from the network tab of the browser devtools).
+ *
+ * @param {any} har
+ * @returns {HttpResponse[]}
+ */
+function readHar(har) {
+  return har.log.entries
+    .filter(entry => entry.response != null)
+    .map(entry => {
+      const content = entry.response.content || {};
+      const text = content.text || '';
+      return {
+        method: entry.request.method,
+        url: entry.request.url,
+        status: entry.response.status,
+        contentType: content.mimeType,
+        body: content.encoding == 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text,
+      };
+    });
+}
+
+/**
+ * Responses of a `.http` file (REST Client or IntelliJ HTTP Client), in blocks separated by `###`:
+ * a request line (e.g. `GET https://example.com/users/1`) followed by a response (e.g. `HTTP/1.1 200 OK`),
+ * whose body comes after the blank line ending its headers. Blocks without a response are skipped.
+ *
+ * @param {string} source
+ * @returns {HttpResponse[]}
+ */
+function readHttpFile(source) {
+  const responses = [];
+  for (const block of source.split(/^###.*$/m)) {
+    const response = /^HTTP\/[\d.]+\s+(\d{3})/m.exec(block);
+    if (response == null) continue;
+
+    const request = /^(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+(\S+)/m.exec(block.substring(0, response.index));
+    const rest = block.substring(response.index);
+    const headersEnd = /\r?\n[ \t]*\r?\n/.exec(rest);
+    const contentType = /^Content-Type:\s*(.+)$/im.exec(headersEnd != null ? rest.substring(0, headersEnd.index) : rest);
+    responses.push({
+      method: request != null ? request[1] : 'GET',
+      url: request != null ? request[2] : '/',
+      status: Number(response[1]),
+      contentType: contentType != null ? contentType[1].trim() : null,
+      body: headersEnd != null ? rest.substring(headersEnd.index + headersEnd[0].length).trim() : '',
+    });
+  }
+  return responses;
+}
+
+/**
+ * Why a response isn't read, e.g. an empty body, or null if it is a JSON one.
+ *
+ * @param {HttpResponse} response
+ */
+function getSkipReason(response) {
+  if (isBlank(response.body)) {
+    return 'its body is empty';
+  } else if (isJsonBody(response.body)) {
+    return null;
+  }
+  return response.contentType != null && !/json/i.test(response.contentType) ?
+    `its content type is ${response.contentType}` : 'its body isn\'t a JSON object or array';
+}
+
+/**
+ * Reads the responses of a HAR capture or a `.http` file, keeping only the JSON ones.
+ *
+ * @param {string} source
+ * @param {string[]} warnings Reasons why the other responses were skipped
+ * @returns {HttpResponse[]}
+ */
+function readHttpCapture(source, warnings = []) {
+  let har = null;
+  try {
+    har = JSON.parse(source);
+  } catch (e) {
+    // Not a HAR capture.
+  }
+
+  const responses = har != null && har.log != null && har.log.entries instanceof Array ? readHar(har) : readHttpFile(source);
+  return responses.filter(response => {
+    const reason = getSkipReason(response);
+    if (reason != null) {
+      warnings.push(`Skipping the response of '${response.method} ${response.url}' (${response.status}) as ${reason}.`);
+    }
+    return reason == null;
+  });
+}
+
+/**
+ * Path segments holding IDs (numbers, UUIDs, hashes or parameters such as {id} and :id).
+ *
+ * @param {string} segment
+ */
+function isIdSegment(segment) {
+  return /^(\d+|[0-9a-fA-F-]{16,}|\{.*\}|:.+)$/.test(segment);
+}
+
+/**
+ * Path of a URL, with its IDs replaced by {id}, e.g. 'https://example.com/users/42?full=1' gives '/users/{id}'.
+ *
+ * @param {string} url
+ */
+function getEndpointPath(url) {
+  let path = url.replace(/^[a-z]+:\/\/[^/]*/i, '').replace(/[?#].*$/, '');
+  if (!path.startsWith('/')) path = `/${path}`;
+  return path.split('/').map(segment => isIdSegment(segment) ? '{id}' : segment).join('/');
+}
+
+/**
+ * Class name of the responses of an endpoint, e.g. '/users/{id}' gives UserResponse.
+ *
+ * @param {string} path
+ * @param {boolean} isList If true, the class is the one of the items of the responses
+ */
+function getResponseClassName(path, isList) {
+  const segments = path.split('/').filter(segment => segment.length > 0 && !/^v\d+$/.test(segment));
+  let i = segments.length - 1;
+  while (i >= 0 && isIdSegment(segments[i])) i--;
+  if (i < 0) return 'Response';
+
+  // A resource followed by an ID is a single item, e.g. a User of users.
+  const name = isList || i < segments.length - 1 ? singularize(segments[i]) : segments[i];
+  return `${toClassName(name)}Response`;
+}
+
+/**
+ * Groups the responses by endpoint and status, so that they are samples of the same class.
+ *
+ * @param {HttpResponse[]} responses
+ * @returns {HttpEndpoint[]}
+ */
+function getEndpoints(responses) {
+  /** @type {Map<string, HttpEndpoint>} */
+  const endpoints = new Map();
+  for (const response of responses) {
+    const path = getEndpointPath(response.url);
+    const label = `${response.method.toUpperCase()} ${path}`;
+    const key = `${label} ${response.status}`;
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { label, status: response.status, className: null, bodies: [] });
+    }
+    endpoints.get(key).bodies.push(response.body);
+  }
+
+  for (const endpoint of endpoints.values()) {
+    const isList = endpoint.bodies.every(body => body.trimStart().startsWith('['));
+    endpoint.className = getResponseClassName(endpoint.label.substring(endpoint.label.indexOf(' ') + 1), isList);
+  }
+  return [...endpoints.values()];
+}
+
+/**
+ * The Reader generates a class for each chosen endpoint of captured traffic,
+ * from all the responses captured for it.
+ */
+class HttpCaptureReader extends JsonReader {
+  /**
+   * @param {boolean} isFlutter
+   * @param {string} projectName
+   * @param {HttpEndpoint[]} endpoints
+   * @param {string[]} skipped Reasons why responses of the capture were skipped, reported along with the other warnings
+   */
+  constructor(isFlutter, projectName, endpoints, skipped = []) {
+    super(isFlutter, projectName, endpoints, '');
+    this.warnings.unshift(...skipped);
+  }
+
+  async parseJson(endpoints) {
+    const error = await super.parseJson(endpoints);
+    if (error == null && this.files.length == 0) {
+      return 'No JSON responses were found!';
+    }
+    return error;
+  }
+
+  async generateClassFiles(endpoints) {
+    try {
+      for (const endpoint of endpoints) {
+        const samples = endpoint.bodies.map(body => this.parseSample(body));
+        if (!this.generateRootClass(samples, toClassName(endpoint.className))) {
+          this.warnings.push(`Responses of '${endpoint.label}' mix objects and arrays, skipping them.`);
+        }
+      }
+
+      for (let clazz of this.theClasses) {
+        this.files.push(new DartFile(clazz));
+      }
+      return false;
+    } catch (e) {
+      this.warnAbout(e);
+      return true;
+    }
+  }
+}
+
+module.exports = {
+  HttpCaptureReader,
+  readHttpCapture,
+  getEndpoints,
+}
\ No newline at end of file
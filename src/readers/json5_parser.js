@@ -0,0 +1,261 @@
+/**
+ * A syntax error, with its location in the parsed source.
+ */
+class JsonSyntaxError extends SyntaxError {
+  /**
+   * @param {string} reason
+   * @param {number} offset
+   * @param {number} line Starting at 1
+   * @param {number} column Starting at 1
+   */
+  constructor(reason, offset, line, column) {
+    super(`${reason} at line ${line}, column ${column}`);
+    this.name = 'JsonSyntaxError';
+    this.reason = reason;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+    /**
+     * Index of the sample holding the error, when reading several of them.
+     * @type {number}
+     */
+    this.sample = null;
+  }
+}
+
+/**
+ * A tolerant JSON parser, accepting JSON5 and JSONC (comments, trailing commas,
+ * unquoted keys, single quoted strings, hexadecimal numbers...).
+ *
+ * Comments attached to keys are kept, so that they can document the generated fields:
+ * the ones right before a key, and the ones following its value on the same line.
+ */
+class Json5Parser {
+  /**
+   * @param {string} source
+   */
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    /**
+     * Comments of the keys of every parsed object.
+     * @type {Map<object, Object<string, string>>}
+     */
+    this.comments = new Map();
+  }
+
+  parse() {
+    this.skipBlank();
+    const value = this.parseValue();
+    this.skipBlank();
+    if (this.pos < this.source.length) this.fail(`Unexpected '${this.source[this.pos]}'`);
+    return value;
+  }
+
+  /**
+   * @param {string} message
+   */
+  fail(message) {
+    const before = this.source.substring(0, this.pos);
+    const line = before.split('\n').length;
+    const column = this.pos - before.lastIndexOf('\n');
+    throw new JsonSyntaxError(message, this.pos, line, column);
+  }
+
+  /**
+   * @param {string} expected
+   * @param {string} description What was expected, if more than a single character
+   */
+  expect(expected, description = `'${expected}'`) {
+    if (this.source[this.pos] != expected) {
+      this.fail(this.pos < this.source.length ? `Expected ${description} instead of '${this.source[this.pos]}'` : `Expected ${description}`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * Matches a sticky regular expression at the current position, moving past the match.
+   *
+   * @param {RegExp} regExp
+   */
+  match(regExp) {
+    regExp.lastIndex = this.pos;
+    const match = regExp.exec(this.source);
+    if (match != null) this.pos = regExp.lastIndex;
+    return match;
+  }
+
+  /**
+   * Skips whitespace and comments, returning the text of the comments.
+   *
+   * @param {boolean} sameLine If true, stops at the end of the current line
+   */
+  skipBlank(sameLine = false) {
+    const comments = [];
+    while (this.pos < this.source.length) {
+      const c = this.source[this.pos];
+      if (sameLine && (c == '\n' || c == '\r')) break;
+
+      if (/\s/.test(c)) {
+        this.pos++;
+      } else if (this.source.startsWith('//', this.pos)) {
+        let end = this.source.indexOf('\n', this.pos);
+        if (end < 0) end = this.source.length;
+        comments.push(this.source.substring(this.pos + 2, end));
+        this.pos = end;
+      } else if (this.source.startsWith('/*', this.pos)) {
+        const end = this.source.indexOf('*/', this.pos + 2);
+        if (end < 0) this.fail('Unterminated comment');
+        comments.push(this.source.substring(this.pos + 2, end));
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+    return comments;
+  }
+
+  parseValue() {
+    const c = this.source[this.pos];
+    if (c == '{') return this.parseObject();
+    if (c == '[') return this.parseArray();
+    if (c == '"' || c == '\'') return this.parseString();
+
+    const word = this.match(/(true|false|null|[+-]?(Infinity|NaN))(?![\w$])/y);
+    if (word != null) {
+      if (word[1] == 'true') return true;
+      if (word[1] == 'false') return false;
+      if (word[1] == 'null') return null;
+      return Number(word[1].replace('+', ''));
+    }
+    return this.parseNumber();
+  }
+
+  parseObject() {
+    const object = {};
+    /** @type {Object<string, string>} */
+    const comments = {};
+    this.comments.set(object, comments);
+
+    this.expect('{');
+    while (true) {
+      const leading = this.skipBlank();
+      if (this.source[this.pos] == '}') break;
+
+      const key = this.parseKey();
+      leading.push(...this.skipBlank());
+      this.expect(':');
+      leading.push(...this.skipBlank());
+      object[key] = this.parseValue();
+
+      const trailing = this.skipBlank(true);
+      const hasNext = this.source[this.pos] == ',';
+      if (hasNext) {
+        this.pos++;
+        trailing.push(...this.skipBlank(true));
+      }
+
+      const comment = toDocComment([...leading, ...trailing]);
+      if (comment.length > 0) comments[key] = comment;
+      if (!hasNext) {
+        this.skipBlank();
+        break;
+      }
+    }
+    this.expect('}', '\',\' or \'}\'');
+    return object;
+  }
+
+  parseArray() {
+    const array = [];
+
+    this.expect('[');
+    while (true) {
+      this.skipBlank();
+      if (this.source[this.pos] == ']') break;
+
+      array.push(this.parseValue());
+      this.skipBlank();
+      if (this.source[this.pos] != ',') break;
+      this.pos++;
+    }
+    this.expect(']', '\',\' or \']\'');
+    return array;
+  }
+
+  parseKey() {
+    const c = this.source[this.pos];
+    if (c == '"' || c == '\'') return this.parseString();
+
+    const identifier = this.match(/[A-Za-z_$][\w$]*/y);
+    if (identifier == null) this.fail(this.pos < this.source.length ? `Unexpected '${c}'` : 'Unexpected end');
+    return identifier[0];
+  }
+
+  parseString() {
+    const quote = this.source[this.pos++];
+    const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+    let value = '';
+    while (this.source[this.pos] != quote) {
+      if (this.pos >= this.source.length) this.fail('Unterminated string');
+
+      const c = this.source[this.pos++];
+      if (c == '\n') {
+        this.pos--;
+        this.fail('Unterminated string');
+      }
+      if (c != '\\') {
+        value += c;
+        continue;
+      }
+
+      const escaped = this.source[this.pos++];
+      if (escaped == 'u' || escaped == 'x') {
+        const length = escaped == 'u' ? 4 : 2;
+        const hex = this.source.substring(this.pos, this.pos + length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) this.fail('Invalid escape sequence');
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos += length;
+      } else if (escaped == '\r' || escaped == '\n') {
+        // Line continuations
+        if (escaped == '\r' && this.source[this.pos] == '\n') this.pos++;
+      } else {
+        value += escaped in escapes ? escapes[escaped] : escaped;
+      }
+    }
+    this.pos++;
+    return value;
+  }
+
+  parseNumber() {
+    const number = this.match(/[+-]?(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/y);
+    if (number == null) this.fail(this.pos < this.source.length ? `Unexpected '${this.source[this.pos]}'` : 'Unexpected end');
+
+    const text = number[0].replace('+', '');
+    if (/0[xX]/.test(text)) return text.startsWith('-') ? -parseInt(text.substring(1), 16) : parseInt(text, 16);
+    return Number(text);
+  }
+}
+
+/**
+ * Turns comments (including block comments and /// comments) into lines of documentation.
+ *
+ * @param {string[]} comments
+ */
+function toDocComment(comments) {
+  const lines = [];
+  for (const comment of comments) {
+    for (const line of comment.split(/\r?\n/)) {
+      lines.push(line.trim().replace(/^(\*+|\/+)\s?/, '').trimEnd());
+    }
+  }
+  while (lines.length > 0 && lines[0].length == 0) lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].length == 0) lines.pop();
+  return lines.join('\n');
+}
+
+module.exports = {
+  Json5Parser,
+  JsonSyntaxError,
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { JsonReader } = require('./json_reader');
+
+const {
+  DartFile,
+} = require('../types');
+
+const {
+  toClassName,
+} = require('../helpers');
+
+/**
+ * A JSON file of a folder of fixtures.
+ *
+ * @typedef {Object} JsonFixture
+ * @property {string} fileName
+ * @property {string} source
+ */
+
+/**
+ * The Reader generates a class for every fixture of a folder, named after its file (e.g. `user_profile.json` gives UserProfile).
+ * Classes of different fixtures with the same structure are shared.
+ *
+ * Malformed fixtures are skipped with a warning, so that they don't prevent generating the others.
+ */
+class JsonFolderReader extends JsonReader {
+  /**
+   * @param {boolean} isFlutter
+   * @param {string} projectName
+   * @param {JsonFixture[]} fixtures
+   */
+  constructor(isFlutter, projectName, fixtures) {
+    super(isFlutter, projectName, fixtures, '');
+  }
+
+  async generateClassFiles(fixtures) {
+    for (const fixture of fixtures) {
+      try {
+        const sample = this.parseSample(fixture.source);
+        this.generateRootClass([sample], toClassName(fixture.fileName.replace(/\.[^.]*$/, '')));
+      } catch (e) {
+        this.warnings.push(`Skipping '${fixture.fileName}': ${e.message}`);
+      }
+    }
+
+    for (let clazz of this.theClasses) {
+      this.files.push(new DartFile(clazz));
+    }
+    return this.files.length == 0;
+  }
+}
+
+module.exports = {
+  JsonFolderReader,
+}
\ No newline at end of file
@@ -1,6 +1,10 @@
-const vscode = require('vscode'); // eslint-disable-line no-unused-vars
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const changeCase = require('change-case');
 
 const { DataClassGenerator } = require('../data_class_generator');
+const { Json5Parser, JsonSyntaxError } = require('./json5_parser');
 
 const {
   DartFile,
@@ -11,10 +15,16 @@ const {
 
 const {
   getEditor,
-  capitalize,
+  toClassName,
+  toVarName,
+  toCamelCase,
+  singularize,
   removeEnd,
   createFileName,
   writeFile,
+  readSetting,
+  isBlank,
+  capitalize,
 } = require('../helpers');
 
 const {
@@ -22,19 +32,146 @@ const {
   editorInsert,
 } = require('../editor_helpers');
 
+/**
+ * Properties of a class (or values of an enum), regardless of their order, to compare it with other classes.
+ *
+ * @param {DartClass} clazz
+ */
+function getStructure(clazz) {
+  return JSON.stringify([clazz.superclass, clazz.discriminator, clazz.enumValues, clazz.properties
+    .map(prop => [prop.name, prop.jsonName, prop.rawType, prop.converter])
+    .sort((a, b) => (a[0] > b[0]) ? 1 : -1)]);
+}
+
+/**
+ * Maximum number of distinct values of a string field generated as an enum.
+ */
+const MAX_ENUM_VALUES = 8;
+
+/**
+ * Built-in identifiers of Dart and members of every object, escaped like keywords in the names of fields made from keys.
+ */
+const BUILT_IN_IDENTIFIERS = [
+  'abstract', 'as', 'async', 'await', 'base', 'covariant', 'deferred', 'dynamic', 'export', 'extension', 'external',
+  'factory', 'Function', 'get', 'hide', 'implements', 'import', 'interface', 'late', 'library', 'mixin', 'on',
+  'operator', 'part', 'required', 'sealed', 'set', 'show', 'static', 'sync', 'typedef', 'yield',
+  'hashCode', 'runtimeType',
+];
+
+/**
+ * Values of nested lists, e.g. [[1, 2], [3]] gives [1, 2, 3].
+ *
+ * @param {any[]} values
+ */
+function flatten(values) {
+  return values.reduce((flat, value) => flat.concat(value instanceof Array ? flatten(value) : [value]), []);
+}
+
+/**
+ * Names of the classes, enums and mixins declared in Dart code.
+ *
+ * @param {string} source
+ */
+function getDeclaredTypes(source) {
+  const declaration = /^\s*(?:(?:abstract|sealed|base|final|interface)\s+)*(?:class|enum|mixin)\s+([A-Za-z_$][\w$]*)/gm;
+  const names = [];
+  // String.prototype.matchAll isn't available in the Node.js of older VS Code versions.
+  for (let match = declaration.exec(source); match != null; match = declaration.exec(source)) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * ISO 639-1 language codes, keys of the dictionaries of translations, e.g. { "en": ..., "fr": ..., "de": ... }.
+ */
+const LANGUAGE_CODES = (
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el en ' +
+  'eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka ' +
+  'kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl ' +
+  'nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+  'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' ');
+
+/**
+ * Keys that are data rather than field names: IDs, UUIDs, dates and locales with a region.
+ *
+ * @param {string} key
+ */
+function isDictionaryKey(key) {
+  return /^-?\d+$/.test(key) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key) ||
+    /^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+Z?)?$/.test(key) ||
+    /^[a-z]{2,3}[-_][A-Z]{2}$/.test(key);
+}
+
 class JsonReader {
   /**
    * @param {boolean} isFlutter
    * @param {string} projectName
-   * @param {string} source
+   * @param {string | string[]} source A JSON document, or several samples of the same entity to be merged
    * @param {string} className
    */
   constructor(isFlutter, projectName, source, className) {
-    this.className = capitalize(className);
+    this.className = toClassName(className);
     /** @type {DartClass[]} */
     this.theClasses = [];
     /** @type {DartFile[]} */
     this.files = [];
+    /** @type {string[]} */
+    this.warnings = [];
+    /**
+     * Dart types detected from string values (e.g. DateTime or Uri).
+     * @type {string[]}
+     */
+    this.stringTypes = readSetting('json.string_types') || [];
+    /**
+     * Types forced by key ('key' or 'Class.key'), instead of detecting them.
+     * @type {Object<string, string>}
+     */
+    this.keyTypes = readSetting('json.key_types') || {};
+    /**
+     * Class names used for keys ('key' or 'Class.key'), instead of the ones derived from them.
+     * @type {Object<string, string>}
+     */
+    this.classNames = readSetting('json.class_names') || {};
+    /**
+     * How field names are derived from keys: camelCase, preserve or custom (following the naming rules).
+     * @type {string}
+     */
+    this.namingStrategy = readSetting('json.naming_strategy') || 'camelCase';
+    /** @type {{ pattern: RegExp; replacement: string; }[]} */
+    this.namingRules = this.readNamingRules();
+    /**
+     * Field names used for keys ('key' or 'Class.key'), instead of the ones derived from them.
+     * @type {Object<string, string>}
+     */
+    this.fieldNames = readSetting('json.field_names') || {};
+    /**
+     * Whether objects are dictionaries (true) or classes (false) by key ('key' or 'Class.key'), instead of detecting it.
+     * @type {Object<string, boolean>}
+     */
+    this.dictionaries = readSetting('json.dictionaries') || {};
+    /**
+     * Keys telling apart the variants of tagged unions.
+     * @type {string[]}
+     */
+    this.discriminators = readSetting('json.discriminators') || [];
+    /**
+     * Values of the string fields of every class, to find the ones that can be generated as enums.
+     * @type {{ clazz: DartClass; prop: DartClassProperty; values: string[]; }[]}
+     */
+    this.stringFields = [];
+    /**
+     * Comments of the keys of the parsed objects, documenting the generated fields.
+     * @type {Map<object, Object<string, string>>}
+     */
+    this.comments = new Map();
+    /**
+     * Location of the syntax error, if the JSON couldn't be parsed.
+     * @type {JsonSyntaxError}
+     */
+    this.syntaxError = null;
 
     this.error = this.parseJson(source);
     this.isFlutter = isFlutter;
@@ -42,18 +179,54 @@ class JsonReader {
   }
 
   async parseJson(source) {
-    const isArray = source.startsWith('[');
-    if (isArray && !source.includes('{')) {
-      return 'Primitive JSON arrays are not supported! Please serialize them directly.';
-    }
-
     if (await this.generateClassFiles(source)) {
+      if (this.syntaxError != null) {
+        const sample = this.syntaxError.sample != null ? ` (sample ${this.syntaxError.sample + 1})` : '';
+        return `The provided JSON is malformed${sample}: ${this.syntaxError.message}`;
+      }
       return 'The provided JSON is malformed or couldn\'t be parsed!';
     }
 
     return null;
   }
 
+  /**
+   * Keeps the reason the data couldn't be read among the warnings, which are shown along with the error.
+   * Syntax errors are pointed out on their own.
+   *
+   * @param {Error} e
+   */
+  warnAbout(e) {
+    if (e !== this.syntaxError) this.warnings.push(e.message);
+  }
+
+  /**
+   * Strict JSON is parsed natively, anything else (e.g. JSON5 or JSON with comments) with a tolerant parser.
+   *
+   * @param {string} source
+   * @param {number} index Index of the sample, when reading several of them
+   */
+  parseSample(source, index = null) {
+    try {
+      return JSON.parse(source);
+    } catch (e) {
+      // Not strict JSON: the tolerant parser either reads it or locates the syntax error.
+    }
+
+    const parser = new Json5Parser(source);
+    try {
+      const value = parser.parse();
+      parser.comments.forEach((comments, object) => this.comments.set(object, comments));
+      return value;
+    } catch (e) {
+      if (e instanceof JsonSyntaxError) {
+        e.sample = index;
+        this.syntaxError = e;
+      }
+      throw e;
+    }
+  }
+
   /**
    * @param {any} value
    */
@@ -73,66 +246,473 @@ class JsonReader {
   }
 
   /**
-   * Create DartClasses from a JSON mapping with class content and properties.
+   * @param {any} value
+   */
+  getValueKind(value) {
+    if (value instanceof Array) return 'array';
+    return this.getPrimitiveTypeFromValue(value) || 'object';
+  }
+
+  /**
+   * Strings holding values that have a better Dart representation, e.g. ISO-8601 timestamps or URLs.
+   *
+   * @param {string[]} values
+   */
+  detectStringType(values) {
+    const isDateTime = (value) => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/.test(value) && !isNaN(Date.parse(value));
+    const isUri = (value) => /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i.test(value);
+
+    if (this.stringTypes.includes('DateTime') && values.every(isDateTime)) return 'DateTime';
+    if (this.stringTypes.includes('Uri') && values.every(isUri)) return 'Uri';
+    return 'String';
+  }
+
+  /**
+   * @param {string} className
+   * @param {string} key
+   */
+  getKeyType(className, key) {
+    return this.keyTypes[`${className}.${key}`] || this.keyTypes[key] || null;
+  }
+
+  /**
+   * DateTime values read from strings are serialized as ISO-8601, rather than milliseconds.
+   *
+   * @param {any[]} values
+   */
+  getConverter(values) {
+    return flatten(values).some(value => typeof value === 'string') ? 'iso8601' : null;
+  }
+
+  /**
+   * Properties typed with generated enums are serialized by the enum name or value,
+   * and the converter is only kept for the types needing it.
+   *
+   * @param {string} type
+   * @param {string} name
+   * @param {number} lineNumber
+   * @param {string} converter
+   */
+  createProperty(type, name, lineNumber, converter = null) {
+    const prop = new DartClassProperty(type, name, lineNumber);
+
+    let item = prop;
+    while (item.isCollection) item = item.itemType;
+    const anEnum = this.theClasses.find(c => c.isEnum && c.name == item.type);
+    if (anEnum != null) {
+      prop.isEnum = true;
+      prop.serializesEnumByName = anEnum.isPlainEnum;
+      prop.serializesEnumByValue = !anEnum.isPlainEnum;
+    }
+    if (item.type == 'DateTime') {
+      prop.converter = converter;
+    }
+    return prop;
+  }
+
+  /**
+   * Adjust the class name of lists. E.g. a key with items
+   * becomes a class name of Item.
+   *
+   * @param {string} key
+   */
+  getListItemName(key) {
+    return singularize(key);
+  }
+
+  /**
+   * Name of the class generated for a key, unless overridden in the settings.
+   *
+   * @param {string} key
+   * @param {string} path Location of the class (e.g. 'Order.items[]'), matching overrides like 'Order.items'
+   */
+  getClassName(key, path = null) {
+    const name = this.getPathSetting(this.classNames, path == null ? key : path);
+    return toClassName(name || key);
+  }
+
+  /**
+   * Setting for a location, e.g. 'Order.items[]' matches 'Order.items' or 'items'.
+   *
+   * @param {Object<string, any>} settings
+   * @param {string} path
+   */
+  getPathSetting(settings, path) {
+    const location = path.replace(/(\[\]|\{\})+$/, '');
+    const key = location.substring(location.indexOf('.') + 1);
+    if (settings[location] != null) return settings[location];
+    return settings[key] != null ? settings[key] : null;
+  }
+
+  /**
+   * Objects used as dictionaries, whose keys are data (IDs, dates, locales...) and whose values share one shape,
+   * are typed as maps rather than classes with a field per key.
+   *
+   * @param {object[]} values
+   * @param {string} path
+   */
+  isDictionary(values, path) {
+    const override = path == null ? null : this.getPathSetting(this.dictionaries, path);
+    if (override != null) return override;
+
+    const keys = [...new Set([].concat(...values.map(value => Object.keys(value))))];
+    const entries = [].concat(...values.map(value => Object.values(value))).filter(entry => entry !== null);
+    const kinds = new Set(entries.map(entry => this.getValueKind(entry)));
+    const isUniform = kinds.size == 1 || (kinds.size == 2 && kinds.has('int') && kinds.has('double'));
+    if (keys.length == 0 || !isUniform) return false;
+
+    if (keys.every(isDictionaryKey)) return true;
+    // Language codes, but not any short key: id, to and at are fields.
+    if (keys.length >= 3 && keys.every(key => LANGUAGE_CODES.includes(key))) return true;
+    // Many objects with exactly the same keys
+    if (keys.length >= 10 && kinds.has('object')) {
+      return new Set(entries.map(entry => JSON.stringify(Object.keys(entry).sort()))).size == 1;
+    }
+    return false;
+  }
+
+  readNamingRules() {
+    const rules = [];
+    for (const rule of readSetting('json.naming_rules') || []) {
+      try {
+        rules.push({ pattern: new RegExp(rule.pattern, 'g'), replacement: rule.replacement || '' });
+      } catch (e) {
+        this.warnings.push(`Invalid naming rule '${rule.pattern}' ignored: ${e.message}`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Name of the field of a key, following the naming strategy unless overridden in the settings.
+   * Keys giving the same name as a previous field of the class are numbered, e.g. userId and userId2.
+   *
+   * @param {DartClass} clazz Class holding the field
+   * @param {string} key
+   */
+  getFieldName(clazz, key) {
+    let name = this.fieldNames[`${clazz.name}.${key}`] || this.fieldNames[key];
+    if (name == null) {
+      if (this.namingStrategy == 'camelCase') {
+        name = toCamelCase(key);
+      } else if (this.namingStrategy == 'custom') {
+        name = this.namingRules.reduce((result, rule) => result.replace(rule.pattern, rule.replacement), key);
+      } else {
+        name = key;
+      }
+    }
+
+    // Names are prefixed with a letter when they can't start with the key, e.g. k2fa for '2fa' or k$ for '$'.
+    if (/^\d/.test(name)) name = `k${name}`;
+    name = toVarName(name);
+    if (BUILT_IN_IDENTIFIERS.includes(name)) name = name[0] + capitalize(name);
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) name = `k${key.normalize('NFD').replace(/[^\w$]/g, '')}`;
+
+    let uniqueName = name;
+    for (let i = 2; clazz.properties.some(p => p.name == uniqueName); i++) uniqueName = `${name}${i}`;
+    return uniqueName;
+  }
+
+  /**
+   * Infers the type shared by all the sampled values of a key.
+   * Objects are merged into a single class and lists are inferred from all their items,
+   * so the result doesn't depend on the first value being representative.
+   *
+   * JSON nulls don't carry any type information, they only make the type nullable.
+   * If every sample is null the type is unknown and falls back to dynamic.
+   *
+   * @param {any[]} values
+   * @param {string} key
+   * @param {string} path Location of the values, used when reporting conflicts
+   */
+  inferType(values, key, path) {
+    const samples = values.filter(value => value !== null);
+    if (samples.length == 0) return 'dynamic';
+
+    const type = this.inferNonNullType(samples, key, path);
+    const isNullable = samples.length < values.length && type != 'dynamic';
+    return isNullable ? `${type}?` : type;
+  }
+
+  /**
+   * @param {any[]} values Sampled values, none of them null
+   * @param {string} key
+   * @param {string} path
+   */
+  inferNonNullType(values, key, path) {
+    const kinds = new Set(values.map(value => this.getValueKind(value)));
+
+    if (kinds.size == 1) {
+      const [kind] = kinds;
+      if (kind == 'object') {
+        if (this.isDictionary(values, path)) {
+          const entries = [].concat(...values.map(value => Object.values(value)));
+          return `Map<String, ${this.inferType(entries, this.getListItemName(key), `${path}{}`)}>`;
+        }
+
+        const discriminator = this.getDiscriminator(values);
+        if (discriminator != null) return this.generateSealedClass(values, key, path, discriminator);
+        return this.generateClass(values, key, path);
+      } else if (kind == 'array') {
+        const items = [].concat(...values);
+        if (items.length == 0) return 'List<dynamic>';
+        return `List<${this.inferType(items, this.getListItemName(key), `${path}[]`)}>`;
+      }
+      return kind == 'String' ? this.detectStringType(values) : kind;
+    }
+
+    // Numbers can be widened without losing information.
+    if (kinds.size == 2 && kinds.has('int') && kinds.has('double')) return 'double';
+
+    this.warnings.push(`Conflicting types (${[...kinds].join(', ')}) found for '${path}', using dynamic instead.`);
+    return 'dynamic';
+  }
+
+  /**
+   * Create DartClasses from JSON mappings with class content and properties.
    * This is intended only for creating new files not overriding exisiting ones.
    *
-   * @param {any} object
+   * All the samples are merged into a single class: keys missing from
+   * some of the samples become nullable properties.
+   *
+   * @param {any[]} samples
    * @param {string} key
+   * @param {string} path Location of the samples, used to name the class when its name is taken
+   * @param {DartClass} base Sealed class the samples are a variant of, if any
+   * @returns {string} Name of the class, which can be an existing class with the same structure
    */
-  generateClass(object, key) {
+  generateClass(samples, key, path = null, base = null) {
     let aClazz = new DartClass();
     aClazz.startsAt = 1;
-    aClazz.name = capitalize(key);
+    aClazz.name = path == null ? toClassName(key) : this.getClassName(key, path);
+    this.theClasses.push(aClazz);
 
-    let isArray = false;
-    if (object instanceof Array) {
-      isArray = true;
-      aClazz.isArray = true;
-      aClazz.name += 's';
-    } else {
-      // Top level arrays are currently not supported!
-      this.theClasses.push(aClazz);
-      // console.log(`got ${this.theClasses.length} classes from JSON`)
+    if (base != null) {
+      aClazz.superclass = base.name;
+      aClazz.discriminator = { key: base.discriminator.key, value: samples[0][base.discriminator.key] };
     }
 
-    let i = 1;
-    for (let key in object) {
-      // named key for class names.
-      let k = !isArray ? key : removeEnd(aClazz.name.toLowerCase(), 's');
+    // Keys are kept in order of appearance, the discriminator of variants being implied by their class.
+    const keys = [];
+    for (const sample of samples) {
+      for (const k in sample) {
+        if (!keys.includes(k) && (base == null || k != base.discriminator.key)) keys.push(k);
+      }
+    }
 
-      let value = object[key];
-      let type = this.getPrimitiveTypeFromValue(value);
+    let i = 1;
+    for (const k of keys) {
+      const present = samples.filter(sample => sample != null && Object.prototype.hasOwnProperty.call(sample, k));
+      const values = present.map(sample => sample[k]);
 
+      let type = this.getKeyType(aClazz.name, k);
       if (type == null) {
-        if (value instanceof Array) {
-          if (value.length > 0) {
-            let listType = k;
-            // Adjust the class name of lists. E.g. a key with items
-            // becomes a class name of Item.
-            if (k.endsWith('ies')) listType = removeEnd(k, 'ies') + 'y';
-            if (k.endsWith('s')) listType = removeEnd(k, 's');
-            const typeFirstItem = this.getPrimitiveTypeFromValue(value[0]);
-
-            if (typeFirstItem == null) {
-              this.generateClass(value[0], listType);
-              type = 'List<' + capitalize(listType) + '>';
-            } else {
-              type = 'List<' + typeFirstItem + '>';
-            }
-          } else {
-            type = 'List<dynamic>';
-          }
-        } else {
-          this.generateClass(value, k);
-          type = !isArray ? capitalize(key) : `List<${capitalize(k)}>`;
-        }
+        type = this.inferType(values, k, `${aClazz.name}.${k}`);
+      } else if (values.includes(null) && type != 'dynamic' && !type.endsWith('?')) {
+        type += '?';
       }
+      if (present.length < samples.length && type != 'dynamic' && !type.endsWith('?')) type += '?';
+
+      const prop = this.createProperty(type, k, ++i, this.getConverter(values));
+      prop.name = this.getFieldName(aClazz, k);
+      prop.comment = present.map(sample => (this.comments.get(sample) || {})[k]).find(comment => comment != null) || null;
+      aClazz.properties.push(prop);
 
-      aClazz.properties.push(new DartClassProperty(type, k, ++i));
-      // If object is JSONArray, break after first item.
-      if (isArray) break;
+      let item = prop;
+      while (item.isCollection) item = item.itemType;
+      if (item.type == 'String') {
+        this.stringFields.push({ clazz: aClazz, prop, values: flatten(values).filter(value => value !== null) });
+      }
     }
     aClazz.endsAt = ++i;
+
+    return this.resolveClassName(aClazz, path);
+  }
+
+  /**
+   * Classes with the same structure as an already generated one are dropped in favour of it,
+   * and different classes named after the same key are renamed after the class holding them
+   * (e.g. Address and OrderAddress), or numbered if that isn't enough.
+   *
+   * @param {DartClass} aClazz Class that has just been generated
+   * @param {string} path Location of the class, e.g. 'Order.address'
+   * @param {string[]} reserved Names that can't be taken, besides the ones of the other classes
+   */
+  resolveClassName(aClazz, path, reserved = []) {
+    const others = this.theClasses.filter(c => c !== aClazz);
+
+    // Classes still being generated (e.g. the one holding this one) can't be compared yet.
+    const structure = getStructure(aClazz);
+    const same = others.find(c => c.endsAt != null && !c.isEnum && !c.isArray && getStructure(c) == structure);
+    if (same != null) {
+      this.theClasses.splice(this.theClasses.indexOf(aClazz), 1);
+      // Values of the string fields are kept by the remaining class.
+      for (const field of this.stringFields.filter(f => f.clazz === aClazz)) {
+        const remaining = this.stringFields.find(f => f.clazz === same && f.prop.jsonName == field.prop.jsonName);
+        if (remaining != null) remaining.values.push(...field.values);
+      }
+      this.stringFields = this.stringFields.filter(f => f.clazz !== aClazz);
+      return same.name;
+    }
+
+    return this.resolveNameCollision(aClazz, path, reserved);
+  }
+
+  /**
+   * @param {DartClass} aClazz
+   * @param {string} path
+   * @param {string[]} reserved Names that can't be taken, besides the ones of the other classes
+   */
+  resolveNameCollision(aClazz, path, reserved = []) {
+    const isTaken = (name) => reserved.includes(name) || this.theClasses.some(c => c !== aClazz && c.name == name);
+    if (isTaken(aClazz.name)) {
+      const owner = path == null ? '' : path.split(/[.[]/)[0];
+      let name = owner.length > 0 && !aClazz.name.startsWith(owner) ? `${owner}${aClazz.name}` : aClazz.name;
+      for (let i = 2; isTaken(name); i++) name = `${aClazz.name}${i}`;
+      aClazz.name = name;
+    }
+    return aClazz.name;
+  }
+
+  /**
+   * Key telling apart the variants of a tagged union, e.g. { "type": "click", ... } and { "type": "view", ... }.
+   * Variants need to differ in their keys, as a single class is enough otherwise.
+   *
+   * @param {object[]} values
+   */
+  getDiscriminator(values) {
+    for (const key of this.discriminators) {
+      if (!values.every(value => typeof value[key] === 'string')) continue;
+
+      const variantKeys = new Map();
+      for (const value of values) {
+        const keys = variantKeys.get(value[key]) || new Set();
+        Object.keys(value).forEach(k => keys.add(k));
+        variantKeys.set(value[key], keys);
+      }
+      const shapes = new Set([...variantKeys.values()].map(keys => [...keys].sort().join()));
+      if (variantKeys.size > 1 && shapes.size > 1) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Generates a sealed class, with a subclass for each variant of a tagged union.
+   *
+   * @param {object[]} values
+   * @param {string} key
+   * @param {string} path
+   * @param {string} discriminator
+   * @returns {string} Name of the sealed class
+   */
+  generateSealedClass(values, key, path, discriminator) {
+    let base = new DartClass();
+    base.startsAt = 1;
+    base.name = path == null ? toClassName(key) : this.getClassName(key, path);
+    base.discriminator = { key: discriminator, value: null };
+    this.theClasses.push(base);
+    // Named before the variants, as they extend it.
+    this.resolveNameCollision(base, path);
+
+    const variants = new Map();
+    for (const value of values) {
+      variants.set(value[discriminator], (variants.get(value[discriminator]) || []).concat([value]));
+    }
+    for (const [value, samples] of variants) {
+      const name = this.generateClass(samples, `${toClassName(value)}${base.name}`, null, base);
+      base.variants.push({ name, value });
+    }
+    base.endsAt = 2;
+
+    return base.name;
+  }
+
+  /**
+   * String fields taking a few distinct values, repeated across the samples (e.g. "status": "active" or "suspended"),
+   * which are likely values of an enum.
+   *
+   * @returns {{ clazz: DartClass; prop: DartClassProperty; values: string[]; }[]}
+   */
+  get enumCandidates() {
+    return this.stringFields
+      .filter(f => this.theClasses.includes(f.clazz))
+      .map(({ clazz, prop, values }) => ({ clazz, prop, values: [...new Set(values)], count: values.length }))
+      .filter(f => f.values.length >= 2 && f.values.length <= MAX_ENUM_VALUES && f.values.length < f.count)
+      .filter(f => f.values.every(value => /^[A-Za-z][\w.-]{0,39}$/.test(value)))
+      .map(({ clazz, prop, values }) => ({ clazz, prop, values }));
+  }
+
+  /**
+   * Turns the given candidates into enums, sharing the ones with the same name and values.
+   *
+   * @param {{ clazz: DartClass; prop: DartClassProperty; values: string[]; }[]} candidates
+   */
+  generateEnums(candidates) {
+    for (const { clazz, prop, values } of candidates) {
+      const path = `${clazz.name}.${prop.jsonName}`;
+      // Collections of values are named after their items, e.g. 'tags' gives Tag.
+      const name = this.getClassName(prop.isCollection ? this.getListItemName(prop.jsonName) : prop.jsonName, path);
+      const sorted = JSON.stringify([...values].sort());
+
+      let anEnum = this.theClasses.find(c => c.isEnum && c.name == name && JSON.stringify(c.enumValues.map(v => v.value).sort()) == sorted);
+      if (anEnum == null) {
+        this.generateEnum(values, name);
+        anEnum = this.theClasses[this.theClasses.length - 1];
+        this.resolveNameCollision(anEnum, path);
+        this.files.push(new DartFile(anEnum));
+      }
+
+      // The innermost String of the type holds the values, e.g. List<String> becomes List<Status>.
+      const index = prop.rawType.lastIndexOf('String');
+      prop.rawType = prop.rawType.substring(0, index) + anEnum.name + prop.rawType.substring(index + 'String'.length);
+      prop.isEnum = true;
+      prop.serializesEnumByName = anEnum.isPlainEnum;
+      prop.serializesEnumByValue = !anEnum.isPlainEnum;
+    }
+  }
+
+  /**
+   * @param {any[]} values
+   * @param {string} className
+   */
+  generateEnum(values, className) {
+    let anEnum = new DartClass();
+    anEnum.startsAt = 1;
+    anEnum.name = className;
+
+    for (const value of values) {
+      let name = typeof value === 'string' ? toVarName(changeCase.camelCase(value)) : '';
+      if (name.length == 0) name = `value${String(value).replace('-', 'Minus').replace('.', '_')}`;
+      // Members of every enum can't be used as names of its values.
+      if (['index', 'name', 'values'].includes(name)) name = `${name}Value`;
+      // Keep names unique, as different values can be written the same way in Dart.
+      let uniqueName = name;
+      for (let i = 2; anEnum.enumValues.some(v => v.name == uniqueName); i++) uniqueName = `${name}${i}`;
+
+      anEnum.enumValues.push({ name: uniqueName, value: value });
+    }
+
+    this.theClasses.push(anEnum);
+    return anEnum.name;
+  }
+
+  /**
+   * Wraps a top level array in a class holding all its items, e.g. [[1, 2], [3]]
+   * becomes a class with a single List<List<int>> property, serialized from and to a list.
+   *
+   * @param {any[]} array
+   * @param {string} key
+   */
+  generateArrayClass(array, key) {
+    let aClazz = new DartClass();
+    aClazz.startsAt = 1;
+    aClazz.name = toClassName(key);
+    aClazz.isArray = true;
+    this.theClasses.push(aClazz);
+
+    const type = this.inferType([array], 'items', aClazz.name);
+    aClazz.properties.push(this.createProperty(type, 'items', 2, this.getConverter(array)));
+    aClazz.endsAt = 3;
   }
 
   /**
@@ -153,9 +733,12 @@ class JsonReader {
 
   async generateClassFiles(source) {
     try {
-      const json = JSON.parse(source);
-      this.generateClass(json, this.className);
-      this.removeDuplicates();
+      const sources = source instanceof Array ? source : [source];
+      const samples = sources.map((sample, i) => this.parseSample(sample, sources.length > 1 ? i : null));
+      if (!this.generateRootClass(samples, this.className)) {
+        this.warnings.push('JSON samples must be either all objects or all arrays.');
+        return true;
+      }
 
       for (let clazz of this.theClasses) {
         this.files.push(new DartFile(clazz));
@@ -163,31 +746,79 @@ class JsonReader {
       // console.log(`got ${this.files.length} files generated`)
       return false;
     } catch (e) {
-      console.log(e.msg);
+      this.warnAbout(e);
       return true;
     }
   }
 
+  /**
+   * Generates the class of top level samples.
+   *
+   * @param {any[]} samples
+   * @param {string} className
+   * @returns {boolean} false if the samples mix objects and arrays
+   */
+  generateRootClass(samples, className) {
+    const arrays = samples.filter(sample => sample instanceof Array);
+
+    if (arrays.length == 0) {
+      this.generateClass(samples, className);
+    } else if (arrays.length == samples.length) {
+      // Samples of top level arrays are merged into a single array.
+      const json = [].concat(...arrays);
+      if (json.length > 0 && json.every(item => this.getValueKind(item) == 'object')) {
+        // Top level arrays of objects are merged into a single class from all their items, unless they are variants.
+        const discriminator = this.getDiscriminator(json);
+        if (discriminator != null) {
+          this.generateSealedClass(json, className, null, discriminator);
+        } else {
+          this.generateClass(json, className);
+        }
+      } else {
+        this.generateArrayClass(json, className);
+      }
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Keeps only the given classes, and the classes they use.
+   *
+   * @param {string[]} classNames
+   */
+  retainClasses(classNames) {
+    const pending = [...classNames];
+    const retained = new Set();
+
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (retained.has(name)) continue;
+      retained.add(name);
+
+      const clazz = this.theClasses.find(c => c.name == name);
+      if (clazz == null) continue;
+      for (const prop of clazz.properties) {
+        // Any identifier of the type might be a class, e.g. Map<String, List<Item>>.
+        pending.push(...prop.type.match(/[A-Za-z_$][\w$]*/g));
+      }
+      // Sealed classes and their variants go together.
+      if (clazz.superclass != null) pending.push(clazz.superclass);
+      pending.push(...clazz.variants.map(variant => variant.name));
+    }
+
+    this.theClasses = this.theClasses.filter(c => retained.has(c.name));
+    this.files = this.files.filter(f => retained.has(f.clazz.name));
+  }
+
   // If multiple classes of the same class exist, remove the duplicates
-  // , based on class name and properties (this should also be prevented during parsing)
+  // , based on class name and properties or enum values (this should also be prevented during parsing)
   removeDuplicates() {
     let dedupClasses = [];
     this.theClasses.forEach(aClass => {
-      let duplicated = false;
-      // name and properties check
-      for (const c of dedupClasses.filter(dedupClass => dedupClass.name === aClass.name)) {
-        if (c.properties.length == aClass.properties.length) {
-          let aClassPropertiesSorted = aClass.properties
-            .map(prop => ({ name: prop.name, t: prop.rawType }))
-            .sort((a, b) => (a.name > b.name) ? 1 : -1)
-          let cPropertiesSorted = c.properties
-            .map(prop => ({ name: prop.name, t: prop.rawType }))
-            .sort((a, b) => (a.name > b.name) ? 1 : -1)
-          if (JSON.stringify(aClassPropertiesSorted) === JSON.stringify(cPropertiesSorted))
-            duplicated = true
-          break;
-        }
-      }
+      const structure = getStructure(aClass);
+      const duplicated = dedupClasses.some(c => c.name === aClass.name && c.isEnum == aClass.isEnum && getStructure(c) == structure);
       if (!duplicated) dedupClasses.push(aClass);
     });
     this.theClasses = dedupClasses;
@@ -199,12 +830,22 @@ class JsonReader {
    * @param {Imports} importList
    */
   addGeneratedFilesAsImport(clazz, importList) {
-    for (let prop of clazz.properties) {
+    const types = clazz.properties.map(prop => {
+      // Collections are imported by their innermost item type.
+      let item = prop;
+      while (item.isCollection) item = item.itemType;
+      return item.type;
+    });
+    // Sealed classes and their variants reference each other.
+    if (clazz.superclass != null) types.push(clazz.superclass);
+    types.push(...clazz.variants.map(variant => variant.name));
+
+    for (const type of types) {
       // Import only unambiguous generated types.
       // E.g. if there are multiple generated classes with
       // the same name, do not include an import for that class.
-      if (this.getGeneratedTypeCount(prop.listType.rawType) == 1) {
-        const imp = `import '${createFileName(prop.listType.rawType)}.dart';`;
+      if (this.getGeneratedTypeCount(type) == 1) {
+        const imp = `import '${createFileName(type)}.dart';`;
         importList.push(imp);
       }
     }
@@ -224,7 +865,8 @@ class JsonReader {
     for (let i = 0; i < length; i++) {
       const file = this.files[i];
       const isLast = i == length - 1;
-      const generator = new DataClassGenerator([file.clazz], null /* imports */, true, this.isFlutter, this.projectName);
+      const fileName = separate && i > 0 ? `${file.name}.dart` : null;
+      const generator = new DataClassGenerator([file.clazz], null /* imports */, true, this.isFlutter, this.projectName, fileName);
 
       if (separate)
         this.addGeneratedFilesAsImport(file.clazz, generator.imports)
@@ -265,6 +907,95 @@ class JsonReader {
     }
   }
 
+  /**
+   * Inserts the classes into a Dart document, replacing the given range (or at its position if empty),
+   * and merges the imports they need into the ones of the document.
+   * When separating the classes, only the first one is inserted and the others are written into their own files.
+   * Classes already declared in the document are reused rather than duplicated.
+   *
+   * @param {vscode.Progress} progress
+   * @param {boolean} separate
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Range} range
+   */
+  async insertJson(progress, separate, document, range) {
+    const imports = new Imports(document.getText(), this.projectName);
+    const previousImports = imports.formatted;
+
+    const declared = getDeclaredTypes(document.getText());
+    this.theClasses = this.theClasses.filter(c => !declared.includes(c.name));
+    this.files = this.files.filter(f => !declared.includes(f.clazz.name));
+    if (this.files.length == 0) {
+      return;
+    }
+
+    let fileContent = '';
+    const length = this.files.length;
+    for (let i = 0; i < length; i++) {
+      const file = this.files[i];
+      const fileName = separate && i > 0 ? `${file.name}.dart` : path.basename(document.fileName);
+      const generator = new DataClassGenerator([file.clazz], null /* imports */, true, this.isFlutter, this.projectName, fileName);
+
+      if (separate)
+        this.addGeneratedFilesAsImport(file.clazz, generator.imports)
+
+      progress.report({
+        increment: 100 * i / Math.max(length - 1, 1),
+        message: `Creating file ${file.name}...`,
+      });
+      const [classCode, _] = generator.clazzes[0].generateClassContent()
+      if (separate && i > 0) {
+        await writeFile(`${generator.imports.formatted}\n${classCode}`, file.name, false);
+
+        // Slow the writing process intentionally down.
+        await new Promise(resolve => setTimeout(() => resolve(), 120));
+      } else {
+        generator.imports.values.forEach(statement => imports.requiresImport(statement));
+        fileContent += classCode + '\n\n';
+      }
+    }
+
+    const edit = new vscode.WorkspaceEdit();
+    fileContent = removeEnd(fileContent, '\n\n');
+    // Classes are kept apart from the code on the same lines.
+    const before = isBlank(document.lineAt(range.start.line).text.substring(0, range.start.character)) ? '' : '\n\n';
+    const after = isBlank(document.lineAt(range.end.line).text.substring(range.end.character)) ? '' : '\n\n';
+    edit.replace(document.uri, range, before + fileContent + after);
+    if (imports.formatted != previousImports) {
+      if (imports.hasPreviousImports) {
+        const end = document.lineAt(imports.endsAt - 1).range.end;
+        edit.replace(document.uri, new vscode.Range(new vscode.Position(imports.startsAt - 1, 0), end), imports.formatted);
+      } else {
+        edit.insert(document.uri, new vscode.Position(0, 0), imports.formatted + '\n\n');
+      }
+    }
+    await vscode.workspace.applyEdit(edit);
+  }
+
+  /**
+   * Writes every class into its own file of a folder, replacing the previous version of the file.
+   *
+   * @param {string} destinationPath
+   * @returns {number} Number of files written, files whose content is the same being left untouched
+   */
+  writeModels(destinationPath) {
+    let written = 0;
+    for (const file of this.files) {
+      const filePath = path.join(destinationPath, `${file.name}.dart`);
+      // Models follow the Dart SDK constraint of the package they are written into.
+      const generator = new DataClassGenerator([file.clazz], null /* imports */, true, this.isFlutter, this.projectName, filePath);
+      this.addGeneratedFilesAsImport(file.clazz, generator.imports)
+
+      const [classCode, _] = generator.clazzes[0].generateClassContent()
+      const content = `${generator.imports.formatted}\n${classCode}`;
+      if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') == content) continue;
+
+      fs.writeFileSync(filePath, content, 'utf-8');
+      written++;
+    }
+    return written;
+  }
+
   /**
    * This is essentially the commitJson (not the best method name or class, but that's legacy)
    * We are also setting/using the filename for the classes during rendering, as it is required for parts (and potentially other uses)
@@ -0,0 +1,385 @@
+const { JsonReader } = require('./json_reader');
+
+const {
+  DartFile,
+  DartClass,
+} = require('../types');
+
+const {
+  removeEnd,
+} = require('../helpers');
+
+/**
+ * @param {any} schema
+ */
+function isNullSchema(schema) {
+  return schema != null && (schema.type === 'null' || (schema.const === null && 'const' in schema));
+}
+
+/**
+ * The Reader looks at a JSON Schema (draft-07 or 2020-12) to generate the same representation as the JsonReader,
+ * so that it can be rendered the same way (with the generator or a template).
+ *
+ * Definitions referenced via `$ref` are generated once and shared by all the classes using them.
+ */
+class JsonSchemaReader extends JsonReader {
+  async generateClassFiles(source) {
+    try {
+      /** @type {any} */
+      this.schema = this.parseSample(source);
+      /** @type {Map<string, string>} */
+      this.resolvedRefs = new Map([['#', this.className]]);
+
+      let root = this.schema;
+      if (root.$ref != null) {
+        // The root definition is named after the requested class name.
+        this.resolvedRefs.set(root.$ref, this.className);
+        root = this.resolveRef(root.$ref);
+      }
+
+      if (root != null && root.type === 'array') {
+        this.generateSchemaArrayClass(root, this.className);
+      } else if (root != null && this.isObjectSchema(root)) {
+        this.generateSchemaClass([root], this.className, false);
+      } else {
+        this.warnings.push('The root of the schema is not an object or an array.');
+        return true;
+      }
+      this.removeDuplicates();
+
+      for (let clazz of this.theClasses) {
+        this.files.push(new DartFile(clazz));
+      }
+      return false;
+    } catch (e) {
+      this.warnAbout(e);
+      return true;
+    }
+  }
+
+  /**
+   * Resolves local references (e.g. '#/$defs/Address' or '#/definitions/Address').
+   *
+   * @param {string} ref
+   */
+  resolveRef(ref) {
+    if (!ref.startsWith('#')) return null;
+
+    let node = this.schema;
+    for (const segment of ref.substring(1).split('/')) {
+      if (segment.length == 0) continue;
+      const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (node == null || typeof node !== 'object' || !(key in node)) return null;
+      node = node[key];
+    }
+    return node;
+  }
+
+  /**
+   * Follows references until reaching an actual schema.
+   *
+   * @param {any} schema
+   */
+  dereference(schema) {
+    const visited = [];
+    while (schema != null && schema.$ref != null && !visited.includes(schema.$ref)) {
+      visited.push(schema.$ref);
+      schema = this.resolveRef(schema.$ref);
+    }
+    return schema;
+  }
+
+  /**
+   * Converter of the DateTime values of a schema, or of the items of its arrays: dates (format `date`) are written
+   * without their time, e.g. 2024-01-31, and timestamps as ISO-8601.
+   *
+   * @param {any} schema
+   */
+  getSchemaConverter(schema) {
+    let item = this.dereference(schema);
+    while (item != null) {
+      // Nullable values, e.g. anyOf: [{ type: string, format: date }, { type: null }]
+      const variants = (item.oneOf || item.anyOf || []).filter(v => !isNullSchema(this.dereference(v)));
+      if (variants.length == 1) {
+        item = this.dereference(variants[0]);
+      } else if (item.items != null && !(item.items instanceof Array)) {
+        item = this.dereference(item.items);
+      } else {
+        break;
+      }
+    }
+    return item != null && item.format == 'date' ? 'date' : 'iso8601';
+  }
+
+  /**
+   * @param {any} schema
+   */
+  isObjectSchema(schema) {
+    if (schema == null || typeof schema !== 'object') return false;
+    if (schema.properties != null) return true;
+    if (schema.allOf != null) return schema.allOf.some(s => this.isObjectSchema(this.dereference(s)));
+    // Objects without properties are dictionaries, not classes.
+    return false;
+  }
+
+  /**
+   * @param {any} schema
+   */
+  isNullableSchema(schema) {
+    if (schema.nullable === true) return true;
+    if (schema.type instanceof Array && schema.type.includes('null')) return true;
+    if (schema.enum instanceof Array && schema.enum.includes(null)) return true;
+
+    const variants = schema.oneOf || schema.anyOf;
+    return variants instanceof Array && variants.some(v => isNullSchema(this.dereference(v)));
+  }
+
+  /**
+   * Returns the Dart type of a schema, generating the classes and enums it requires.
+   *
+   * @param {any} schema
+   * @param {string} key Name of the property, used to name generated classes
+   * @param {string} path Location of the schema, used when reporting issues
+   */
+  schemaType(schema, key, path) {
+    if (schema == null || typeof schema !== 'object') return 'dynamic';
+
+    const type = this.nonNullSchemaType(schema, key, path);
+    return this.isNullableSchema(schema) && type != 'dynamic' && !type.endsWith('?') ? `${type}?` : type;
+  }
+
+  /**
+   * @param {any} schema
+   * @param {string} key
+   * @param {string} path
+   */
+  nonNullSchemaType(schema, key, path) {
+    if (schema.$ref != null) return this.refType(schema.$ref, path);
+
+    if (schema.enum instanceof Array) {
+      const values = schema.enum.filter(value => value !== null);
+      return values.length > 0 ? this.generateSchemaEnum(values, key, path) : 'dynamic';
+    }
+
+    const variants = schema.oneOf || schema.anyOf;
+    if (variants instanceof Array) {
+      return this.variantsType(variants.filter(v => !isNullSchema(this.dereference(v))), key, path);
+    }
+
+    if (this.isObjectSchema(schema)) {
+      return this.generateSchemaClass([schema], this.getClassName(key, path), false, path);
+    }
+
+    let types = schema.type instanceof Array ? schema.type : [schema.type];
+    types = types.filter(type => type != null && type != 'null');
+    if (types.length == 0) return 'dynamic';
+    if (types.length > 1) {
+      if (types.length == 2 && types.includes('integer') && types.includes('number')) return 'double';
+      this.warnings.push(`Multiple types (${types.join(', ')}) allowed for '${path}', using dynamic instead.`);
+      return 'dynamic';
+    }
+
+    switch (types[0]) {
+      case 'string':
+        if (schema.format == 'date-time' || schema.format == 'date') return 'DateTime';
+        if (schema.format == 'uri') return 'Uri';
+        return 'String';
+      case 'integer':
+        return 'int';
+      case 'number':
+        return 'double';
+      case 'boolean':
+        return 'bool';
+      case 'array':
+        // Tuples (items as array or prefixItems) can't be typed as a Dart list.
+        if (schema.items == null || schema.items instanceof Array) return 'List<dynamic>';
+        return `List<${this.schemaType(schema.items, this.getListItemName(key), `${path}[]`)}>`;
+      case 'object':
+        if (schema.additionalProperties != null && typeof schema.additionalProperties === 'object') {
+          return `Map<String, ${this.schemaType(schema.additionalProperties, this.getListItemName(key), `${path}{}`)}>`;
+        }
+        return 'Map<String, dynamic>';
+      default:
+        return 'dynamic';
+    }
+  }
+
+  /**
+   * Definitions are generated once, and named after their key.
+   *
+   * @param {string} ref
+   * @param {string} path
+   */
+  refType(ref, path) {
+    if (this.resolvedRefs.has(ref)) return this.resolvedRefs.get(ref);
+
+    const schema = this.resolveRef(ref);
+    if (schema == null) {
+      this.warnings.push(`Unresolvable reference '${ref}' for '${path}', using dynamic instead.`);
+      return 'dynamic';
+    }
+
+    const name = this.getClassName(ref.substring(ref.lastIndexOf('/') + 1));
+    if (this.isObjectSchema(schema)) {
+      return this.generateSchemaClass([schema], name, false, null, ref);
+    }
+
+    // Recursive definitions that aren't classes can't be typed.
+    this.resolvedRefs.set(ref, 'dynamic');
+    const type = removeEnd(this.schemaType(schema, name, ref), '?');
+    this.resolvedRefs.set(ref, type);
+    return type;
+  }
+
+  /**
+   * oneOf/anyOf variants: objects are merged into a single class (properties not present
+   * in every variant becoming nullable), and primitives need to share their type.
+   *
+   * @param {any[]} variants
+   * @param {string} key
+   * @param {string} path
+   */
+  variantsType(variants, key, path) {
+    if (variants.length == 0) return 'dynamic';
+    if (variants.length == 1) return removeEnd(this.schemaType(variants[0], key, path), '?');
+
+    const schemas = variants.map(v => this.dereference(v));
+    if (schemas.every(s => this.isObjectSchema(s))) {
+      return this.generateSchemaClass(schemas, this.getClassName(key, path), true, path);
+    }
+
+    const types = new Set(variants.map(v => removeEnd(this.schemaType(v, key, path), '?')));
+    if (types.size == 1) return [...types][0];
+    if (types.size == 2 && types.has('int') && types.has('double')) return 'double';
+
+    this.warnings.push(`Incompatible variants (${[...types].join(', ')}) found for '${path}', using dynamic instead.`);
+    return 'dynamic';
+  }
+
+  /**
+   * Collects properties and required names of an object schema, including the ones from allOf.
+   *
+   * @param {any} schema
+   * @returns {{ properties: Map<string, any>; required: Set<string>; }}
+   */
+  collectProperties(schema) {
+    const properties = new Map();
+    const required = new Set();
+
+    const collect = (s, visited = []) => {
+      if (s == null || visited.includes(s)) return;
+      visited.push(s);
+      if (s.$ref != null) collect(this.resolveRef(s.$ref), visited);
+      for (const [name, property] of Object.entries(s.properties || {})) {
+        properties.set(name, property);
+      }
+      for (const name of s.required || []) {
+        required.add(name);
+      }
+      for (const part of s.allOf || []) {
+        collect(part, visited);
+      }
+    }
+    collect(schema);
+
+    return { properties, required };
+  }
+
+  /**
+   * Names of the definitions of the document (e.g. '#/$defs/Address' gives Address), which are kept for them
+   * rather than given to inline objects and enums named after their key.
+   */
+  get definitionNames() {
+    const definitions = Object.assign({}, this.schema.definitions, this.schema.$defs, (this.schema.components || {}).schemas);
+    return Object.keys(definitions).map(key => this.getClassName(key));
+  }
+
+  /**
+   * Enums are named after their key, sharing the ones with the same name and values.
+   *
+   * @param {any[]} values
+   * @param {string} key
+   * @param {string} path Location of the enum, or the reference of its definition
+   */
+  generateSchemaEnum(values, key, path) {
+    const name = this.getClassName(key, path);
+    const sorted = JSON.stringify([...values].sort());
+    const same = this.theClasses.find(c => c.isEnum && c.name == name && JSON.stringify(c.enumValues.map(v => v.value).sort()) == sorted);
+    if (same != null) return same.name;
+
+    this.generateEnum(values, name);
+    const anEnum = this.theClasses[this.theClasses.length - 1];
+    // Definitions are resolved (as dynamic) while generating them.
+    const isDefinition = this.resolvedRefs.has(path);
+    return this.resolveNameCollision(anEnum, path, isDefinition ? [] : this.definitionNames);
+  }
+
+  /**
+   * Create a DartClass from object schemas.
+   * Inline objects sharing the structure of another class use it, and are renamed if their name is taken.
+   *
+   * @param {any[]} schemas
+   * @param {string} className
+   * @param {boolean} areVariants If true, properties are required only when required by every schema
+   * @param {string} path Location of an inline object, e.g. 'Order.address'
+   * @param {string} ref Reference of a definition
+   * @returns {string} Name of the class
+   */
+  generateSchemaClass(schemas, className, areVariants, path = null, ref = null) {
+    let aClazz = new DartClass();
+    aClazz.startsAt = 1;
+    aClazz.name = className;
+    this.theClasses.push(aClazz);
+    if (ref != null) {
+      // Registered before generating the class, as definitions can reference themselves.
+      this.resolveNameCollision(aClazz, null);
+      this.resolvedRefs.set(ref, aClazz.name);
+    }
+
+    const collected = schemas.map(schema => this.collectProperties(schema));
+    const names = [];
+    for (const { properties } of collected) {
+      for (const name of properties.keys()) {
+        if (!names.includes(name)) names.push(name);
+      }
+    }
+
+    let i = 1;
+    for (const name of names) {
+      const schema = collected.find(c => c.properties.has(name)).properties.get(name);
+      const isRequired = areVariants ?
+        collected.every(c => c.required.has(name)) :
+        collected.some(c => c.required.has(name));
+
+      let type = this.schemaType(schema, name, `${aClazz.name}.${name}`);
+      if (!isRequired && type != 'dynamic' && !type.endsWith('?')) type += '?';
+
+      const prop = this.createProperty(type, name, ++i, this.getSchemaConverter(schema));
+      prop.name = this.getFieldName(aClazz, name);
+      aClazz.properties.push(prop);
+    }
+    aClazz.endsAt = ++i;
+
+    return path != null ? this.resolveClassName(aClazz, path, this.definitionNames) : aClazz.name;
+  }
+
+  /**
+   * @param {any} schema
+   * @param {string} className
+   */
+  generateSchemaArrayClass(schema, className) {
+    let aClazz = new DartClass();
+    aClazz.startsAt = 1;
+    aClazz.name = className;
+    aClazz.isArray = true;
+    this.theClasses.push(aClazz);
+
+    const type = removeEnd(this.schemaType(schema, 'items', aClazz.name), '?');
+    aClazz.properties.push(this.createProperty(type, 'items', 2, this.getSchemaConverter(schema)));
+    aClazz.endsAt = 3;
+  }
+}
+
+module.exports = {
+  JsonSchemaReader,
+}
\ No newline at end of file
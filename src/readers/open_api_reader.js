@@ -0,0 +1,93 @@
+const yaml = require('js-yaml');
+
+const { JsonSchemaReader } = require('./json_schema_reader');
+
+const {
+  DartFile,
+} = require('../types');
+
+/**
+ * The Reader looks at the schemas of an OpenAPI 3 (`components.schemas`) or Swagger 2 (`definitions`) document,
+ * either in JSON or YAML, and generates a class for each of them.
+ *
+ * All the schemas are generated, and only the selected ones (and the ones they reference) are kept via `retain`.
+ */
+class OpenApiReader extends JsonSchemaReader {
+  async parseJson(source) {
+    if (await this.generateClassFiles(source)) {
+      return 'The provided document is not a valid OpenAPI/Swagger document or has no schemas!';
+    }
+
+    return null;
+  }
+
+  async generateClassFiles(source) {
+    try {
+      /** @type {any} */
+      this.schema = yaml.load(source, { json: true });
+      /** @type {Map<string, string>} */
+      this.resolvedRefs = new Map();
+      /**
+       * Class name of each schema that generates a class or an enum.
+       * @type {Map<string, string>}
+       */
+      this.schemaClasses = new Map();
+
+      const isSwagger = this.schema.swagger != null;
+      const schemas = isSwagger ? this.schema.definitions : (this.schema.components || {}).schemas;
+      if (schemas == null || typeof schemas !== 'object') {
+        this.warnings.push('The document has no component schemas or definitions.');
+        return true;
+      }
+
+      const prefix = isSwagger ? '#/definitions/' : '#/components/schemas/';
+      for (const name of Object.keys(schemas)) {
+        const ref = prefix + name.replace(/~/g, '~0').replace(/\//g, '~1');
+        const type = this.refType(ref, name);
+        if (this.theClasses.some(c => c.name == type)) {
+          this.schemaClasses.set(name, type);
+        }
+      }
+      this.removeDuplicates();
+
+      for (let clazz of this.theClasses) {
+        this.files.push(new DartFile(clazz));
+      }
+      return false;
+    } catch (e) {
+      this.warnAbout(e);
+      return true;
+    }
+  }
+
+  /**
+   * Swagger 2 relies on the `x-nullable` extension.
+   *
+   * @param {any} schema
+   */
+  isNullableSchema(schema) {
+    return schema['x-nullable'] === true || super.isNullableSchema(schema);
+  }
+
+  get schemaNames() {
+    return [...this.schemaClasses.keys()];
+  }
+
+  /**
+   * Keeps only the classes of the given schemas, and the classes they use.
+   *
+   * @param {string[]} schemaNames
+   */
+  retain(schemaNames) {
+    const selected = schemaNames.map(name => this.schemaClasses.get(name));
+    this.retainClasses(selected);
+
+    // Selected schemas go first, as the first file is written into the current document.
+    const order = (name) => selected.includes(name) ? selected.indexOf(name) : selected.length;
+    this.files.sort((a, b) => order(a.clazz.name) - order(b.clazz.name));
+  }
+}
+
+module.exports = {
+  OpenApiReader,
+}
\ No newline at end of file
@@ -12,7 +12,12 @@ const {
   isBlank,
   removeEnd,
   createFileName,
+  toDartLiteral,
   getDoc,
+  getEditor,
+  readSetting,
+  usesJsonSerializable,
+  supportsDartVersion,
 } = require('./helpers');
 
 /**
@@ -58,6 +63,32 @@ class DartClass {
     this.toReplace = [];
     this.isLastInFile = false;
     this.abstract = false;
+    /**
+     * Values of generated enums, with their Dart name and serialized value.
+     * @type {{ name: string; value: any; }[]}
+     */
+    this.enumValues = [];
+    /**
+     * Variants of a sealed class, told apart by the value of its discriminator.
+     * @type {{ name: string; value: string; }[]}
+     */
+    this.variants = [];
+    /**
+     * Key telling apart the variants of a sealed class, with its value for each variant.
+     * @type {{ key: string; value: string; }}
+     */
+    this.discriminator = null;
+    /**
+     * Annotations of the class declaration, e.g. '@JsonSerializable()'.
+     * @type {string[]}
+     */
+    this.annotations = [];
+    /**
+     * File (or folder) of the package the class is generated into, whose Dart SDK constraint the declaration follows.
+     * The current document by default.
+     * @type {string}
+     */
+    this.location = null;
   }
 
   get type() {
@@ -152,6 +183,29 @@ class DartClass {
     return this.abstract;
   }
 
+  get isEnum() {
+    return this.enumValues.length > 0;
+  }
+
+  /**
+   * Enums whose values are their names don't need an enhanced enum.
+   */
+  get isPlainEnum() {
+    return this.enumValues.every(v => v.name === v.value);
+  }
+
+  get isSealed() {
+    return this.variants.length > 0;
+  }
+
+  get isVariant() {
+    return this.discriminator != null && this.discriminator.value != null;
+  }
+
+  get isFreezed() {
+    return this.annotations.some(annotation => annotation == '@freezed' || annotation.startsWith('@Freezed('));
+  }
+
   get usesEquatable() {
     return (this.hasSuperclass && this.superclass == 'Equatable') || (this.hasMixins && this.mixins.includes('EquatableMixin'));
   }
@@ -230,6 +284,117 @@ class DartClass {
     return newClass;
   }
 
+  /**
+   * Enums keep their serialized value, so that any JSON value can be mapped to a Dart identifier.
+   */
+  getEnumDeclaration() {
+    if (this.isPlainEnum) {
+      return `enum ${this.name} {\n${this.enumValues.map(v => `  ${v.name},\n`).join('')}}`;
+    }
+
+    const values = this.enumValues.map(v => v.value);
+    const valueType = values.every(v => typeof v === 'string') ? 'String' : values.every(v => Number.isInteger(v)) ? 'int' : 'dynamic';
+    if (!supportsDartVersion([2, 17], this.location)) {
+      return this.getLegacyEnumDeclaration(valueType);
+    }
+
+    let enumContent = usesJsonSerializable() ? '@JsonEnum(valueField: \'value\')\n' : '';
+    enumContent += `enum ${this.name} {\n`;
+    enumContent += this.enumValues.map(v => `  ${v.name}(${toDartLiteral(v.value)})`).join(',\n') + ';\n';
+    enumContent += '\n';
+    enumContent += `  const ${this.name}(this.value);\n`;
+    enumContent += '\n';
+    enumContent += `  final ${valueType} value;\n`;
+    enumContent += '}';
+    return enumContent;
+  }
+
+  /**
+   * Enums can't have fields before Dart 2.17: the values are annotated for json_serializable,
+   * or an extension holds them.
+   * @param {string} valueType
+   */
+  getLegacyEnumDeclaration(valueType) {
+    if (usesJsonSerializable()) {
+      return `enum ${this.name} {\n${this.enumValues.map(v => `  @JsonValue(${toDartLiteral(v.value)})\n  ${v.name},\n`).join('')}}`;
+    }
+
+    let enumContent = `enum ${this.name} {\n${this.enumValues.map(v => `  ${v.name},\n`).join('')}}\n`;
+    enumContent += '\n';
+    enumContent += `extension ${this.name}Value on ${this.name} {\n`;
+    enumContent += `  ${valueType} get value {\n`;
+    enumContent += '    switch (this) {\n';
+    for (const v of this.enumValues) {
+      enumContent += `      case ${this.name}.${v.name}:\n`;
+      enumContent += `        return ${toDartLiteral(v.value)};\n`;
+    }
+    enumContent += '    }\n';
+    enumContent += '  }\n';
+    enumContent += '}';
+    return enumContent;
+  }
+
+  /**
+   * Names of the serialization methods of sealed classes and their variants, with the ones of json_serializable
+   * (toJson/fromJson) replacing toMap/fromMap.
+   */
+  getSerialization() {
+    if (usesJsonSerializable()) {
+      return { to: 'toJson', from: 'fromJson', map: 'json', withTo: readSetting('toJson.enabled'), withFrom: readSetting('fromJson.enabled') };
+    }
+    return { to: 'toMap', from: 'fromMap', map: 'map', withTo: readSetting('toMap.enabled'), withFrom: readSetting('fromMap.enabled') };
+  }
+
+  getSealedDeclaration() {
+    const key = this.discriminator.key;
+    const { to, from, map, withTo, withFrom } = this.getSerialization();
+
+    // Sealed classes came with Dart 3.0, their variants are only known by the factory before.
+    const classType = supportsDartVersion([3, 0], this.location) ? 'sealed class' : 'abstract class';
+    let sealedContent = `${classType} ${this.name} {\n`;
+    sealedContent += `  const ${this.name}();\n`;
+    if (withTo) {
+      sealedContent += '\n';
+      sealedContent += `  Map<String, dynamic> ${to}();\n`;
+    }
+    if (withFrom) {
+      sealedContent += '\n';
+      sealedContent += `  factory ${this.name}.${from}(Map<String, dynamic> ${map}) {\n`;
+      sealedContent += `    switch (${map}['${key}']) {\n`;
+      for (const variant of this.variants) {
+        sealedContent += `      case ${toDartLiteral(variant.value)}:\n`;
+        sealedContent += `        return ${variant.name}.${from}(${map});\n`;
+      }
+      sealedContent += '      default:\n';
+      sealedContent += `        throw ArgumentError.value(${map}['${key}'], '${key}', 'Unknown ${this.name} variant');\n`;
+      sealedContent += '    }\n';
+      sealedContent += '  }\n';
+    }
+    sealedContent += '}';
+    return sealedContent;
+  }
+
+  /**
+   * Variants without any field besides the discriminator can't be generated as data classes.
+   */
+  getEmptyVariantDeclaration() {
+    const { to, from, map, withTo, withFrom } = this.getSerialization();
+
+    let variantContent = this.getClassDeclaration() + '\n';
+    variantContent += `  const ${this.name}();\n`;
+    if (withTo) {
+      variantContent += '\n';
+      variantContent += '  @override\n';
+      variantContent += `  Map<String, dynamic> ${to}() => {'${this.discriminator.key}': ${toDartLiteral(this.discriminator.value)}};\n`;
+    }
+    if (withFrom) {
+      variantContent += '\n';
+      variantContent += `  factory ${this.name}.${from}(Map<String, dynamic> ${map}) => const ${this.name}();\n`;
+    }
+    variantContent += '}';
+    return variantContent;
+  }
+
   getClassDeclaration() {
     const classType = this.isAbstract ? 'abstract class' : 'class';
     let classDeclaration = classType + ' ' + this.name + this.fullGenericType;
@@ -285,13 +450,29 @@ class DartClass {
    */
   generateClassContent(template = null, filename = null) {
     // console.log(`CamelCase ${changeCase.camelCase(localize('testKey1', 'vive la vie'))}`)
+    if (this.isEnum) {
+      // Templates describe classes, enums are always generated as is.
+      return [this.getEnumDeclaration(), new Imports('', '')];
+    }
+    if (this.isSealed) {
+      return [this.getSealedDeclaration(), new Imports('', '')];
+    }
+    if (this.isVariant && !this.hasProperties) {
+      return [this.getEmptyVariantDeclaration(), new Imports('', '')];
+    }
+
     if (template == null) {
       // class declaration
-      let classContent = this.getClassDeclaration() + '\n';
-
-      // properties
-      for (let property of this.properties) {
-        classContent += `  final ${property.type} ${toVarName(property.name)};\n`;
+      let classContent = this.annotations.map(annotation => `${annotation}\n`).join('');
+      classContent += this.getClassDeclaration() + '\n';
+
+      // properties (freezed classes declare them in their factory constructor)
+      if (!this.isFreezed) {
+        for (let property of this.properties) {
+          classContent += property.getDocComment();
+          classContent += property.annotations.map(annotation => `  ${annotation}\n`).join('');
+          classContent += `  final ${property.rawType} ${toVarName(property.name)};\n`;
+        }
       }
 
       // methods (all to be inserted), only if class is valid (has properties)
@@ -344,6 +525,11 @@ class DartClass {
           };
         }
 
+        fieldsContent += classField.getDocComment();
+        // Templates can keep the key of renamed fields, e.g. with @BuiltValueField(wireName: '${jsonName}').
+        if (template.template.wireName != null && classField.jsonName != classField.name) {
+          fieldsContent += `  ${this.replaceTemplatedContent([template.template.wireName], [['jsonName', classField.jsonName]])}\n`;
+        }
         fieldsContent += `  ${fieldType} get ${toVarName(classField.name)};\n`;
       }
       replaceValues.push(['fieldsContent', removeEnd(fieldsContent, '\n')]);
@@ -454,7 +640,8 @@ class Imports {
     if (!this.hasImports) return '';
 
     let workspace = this.projectName;
-    if (workspace == null || workspace.length == 0) {
+    // Without an editor (e.g. when generating a folder), local imports can't be told apart.
+    if ((workspace == null || workspace.length == 0) && getEditor() != null) {
       const file = getDoc().uri;
       if (file.scheme === 'file') {
         const folder = vscode.workspace.getWorkspaceFolder(file);
@@ -537,6 +724,19 @@ class Imports {
     return false;
   }
 
+  /**
+   * Removes the import of a package no longer used by the code, e.g. dart:convert once the serialization is generated.
+   * @param {string} packageName
+   * @param {RegExp} usage Matches the uses of the members of the package
+   * @param {string} code
+   */
+  removeUnusedImport(packageName, usage, code) {
+    const importStatement = `import '${packageName}';`;
+    if (this.includes(importStatement) && !usage.test(code)) {
+      this.values.splice(this.values.indexOf(importStatement), 1);
+    }
+  }
+
   /**
    * @param {string} importStatementOrPackageName
    * @param {string[]} validOverrides
@@ -554,6 +754,76 @@ class Imports {
   }
 }
 
+/**
+ * A type with its type arguments, e.g. Map<String, List<Item>?>.
+ */
+class DartType {
+  /**
+   * @param {string} name Name of the type without its type arguments, e.g. 'Map'
+   * @param {DartType[]} args
+   * @param {boolean} isNullable
+   */
+  constructor(name, args = [], isNullable = false) {
+    this.name = name;
+    this.args = args;
+    this.isNullable = isNullable;
+  }
+
+  /**
+   * @param {string} type
+   */
+  static parse(type) {
+    type = type.trim();
+    const isNullable = type.endsWith('?');
+    if (isNullable) type = removeEnd(type, '?').trim();
+
+    const start = type.indexOf('<');
+    // Function and record types are kept as they are.
+    if (start < 0 || !type.endsWith('>') || /[\s(]/.test(type.substring(0, start))) {
+      return new DartType(type, [], isNullable);
+    }
+
+    // Type arguments are separated by the commas that aren't nested in other type arguments.
+    const args = [];
+    let depth = 0;
+    let from = start + 1;
+    for (let i = from; i < type.length - 1; i++) {
+      if (type[i] == '<' || type[i] == '(') depth++;
+      else if (type[i] == '>' || type[i] == ')') depth--;
+      else if (type[i] == ',' && depth == 0) {
+        args.push(DartType.parse(type.substring(from, i)));
+        from = i + 1;
+      }
+    }
+    args.push(DartType.parse(type.substring(from, type.length - 1)));
+    return new DartType(type.substring(0, start), args, isNullable);
+  }
+
+  get isCollection() {
+    return ['List', 'Set', 'Iterable', 'Map'].includes(this.name);
+  }
+
+  /**
+   * Type of the items of a collection (the values of a map), dynamic when not given.
+   */
+  get itemType() {
+    const item = this.args[this.name == 'Map' ? 1 : 0];
+    return item != null ? item : new DartType('dynamic');
+  }
+
+  /**
+   * The same type, nullable unless it already is (or is dynamic).
+   */
+  asNullable() {
+    return new DartType(this.name, this.args, this.name != 'dynamic');
+  }
+
+  toString() {
+    const args = this.args.length > 0 ? `<${this.args.join(', ')}>` : '';
+    return `${this.name}${args}${this.isNullable ? '?' : ''}`;
+  }
+}
+
 class DartClassProperty {
   /**
    * @param {String} type
@@ -570,7 +840,29 @@ class DartClassProperty {
     this.isFinal = isFinal;
     this.isConst = isConst;
     this.isEnum = false;
-    this.isCollectionType = (type) => this.rawType == type || this.rawType.startsWith(type + '<');
+    // Generated enums are serialized by their value or name rather than by their index.
+    this.serializesEnumByValue = false;
+    this.serializesEnumByName = false;
+    /**
+     * Serialization of the type when it has more than one, e.g. 'iso8601' for DateTime (milliseconds by default).
+     * @type {string}
+     */
+    this.converter = null;
+    /**
+     * Documentation of the field, e.g. from the comments of a JSON sample.
+     * @type {string}
+     */
+    this.comment = null;
+    /**
+     * Annotations of the field, e.g. "@JsonKey(name: 'created_at')".
+     * @type {string[]}
+     */
+    this.annotations = [];
+  }
+
+  getDocComment() {
+    if (this.comment == null) return '';
+    return this.comment.split('\n').map(line => `  ///${line.length > 0 ? ' ' : ''}${line}\n`).join('');
   }
 
   get type() {
@@ -581,39 +873,60 @@ class DartClassProperty {
     return this.rawType.endsWith('?');
   }
 
+  /**
+   * The type with its type arguments, e.g. Map<String, List<Item>> holds List<Item> values of Item items.
+   */
+  get dartType() {
+    return DartType.parse(this.rawType);
+  }
+
   get isList() {
-    return this.isCollectionType('List');
+    return this.dartType.name == 'List';
   }
 
   get isMap() {
-    return this.isCollectionType('Map');
+    return this.dartType.name == 'Map';
   }
 
   get isSet() {
-    return this.isCollectionType('Set');
+    return this.dartType.name == 'Set';
+  }
+
+  get isIterable() {
+    return this.dartType.name == 'Iterable';
   }
 
   get isCollection() {
-    return this.isList || this.isMap || this.isSet;
+    return this.dartType.isCollection;
   }
 
-  get listType() {
-    if (this.isList || this.isSet) {
-      const collection = this.isSet ? 'Set' : 'List';
-      const type = this.rawType == collection ? 'dynamic' : this.rawType.replace(collection + '<', '').replace('>', '');
-      return new DartClassProperty(type, this.name, this.lineNumber, this.isFinal);
-    }
+  /**
+   * Type of the items of a collection: list, set and iterable items, or map values.
+   * Only the outer collection is removed, e.g. List<List<int>> holds List<int> items.
+   */
+  get itemType() {
+    if (!this.isCollection) return this;
 
-    return this;
+    const item = new DartClassProperty(this.dartType.itemType.toString(), this.name, this.lineNumber, this.isFinal);
+    item.isEnum = this.isEnum;
+    item.serializesEnumByValue = this.serializesEnumByValue;
+    item.serializesEnumByName = this.serializesEnumByName;
+    item.converter = this.converter;
+    return item;
   }
 
+  /**
+   * Collections are primitive when their items are, at any nesting level.
+   */
   get isPrimitive() {
-    let t = this.listType.type;
-    return t == 'String' || t == 'num' || t == 'dynamic' || t == 'bool' || this.isDouble || this.isInt || this.isMap;
+    if (this.isCollection) return this.itemType.isPrimitive;
+
+    const t = this.type;
+    return t == 'String' || t == 'num' || t == 'dynamic' || t == 'Object' || t == 'bool' || this.isDouble || this.isInt;
   }
 
   get defValue() {
-    if (this.isList) {
+    if (this.isList || this.isIterable) {
       return 'const []';
     } else if (this.isMap || this.isSet) {
       return 'const {}';
@@ -631,11 +944,11 @@ class DartClassProperty {
   }
 
   get isInt() {
-    return this.listType.type == 'int';
+    return this.type == 'int';
   }
 
   get isDouble() {
-    return this.listType.type == 'double';
+    return this.type == 'double';
   }
 }
 
@@ -674,5 +987,6 @@ module.exports = {
   DartClass,
   Imports,
   DartClassProperty,
+  DartType,
   ClassPart,
 }
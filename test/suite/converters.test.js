@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+const { applyConverter, findConverter } = require('../../src/converters');
+const { DartClassProperty } = require('../../src/types');
+
+/**
+ * @param {string} type
+ * @param {string} name
+ * @param {string} converter
+ */
+function property(type, name, converter = null) {
+  const prop = new DartClassProperty(type, name);
+  prop.converter = converter;
+  return prop;
+}
+
+suite('Type Converters', () => {
+  test('converts types with their default converter', () => {
+    assert.strictEqual(findConverter(property('DateTime', 'createdAt'), 'User').toMap, '${value}.millisecondsSinceEpoch');
+    assert.strictEqual(findConverter(property('Duration?', 'timeout'), 'User').fromMap, 'Duration(microseconds: ${value})');
+    assert.deepStrictEqual(findConverter(property('Decimal', 'price'), 'Order').imports, ['package:decimal/decimal.dart']);
+    assert.strictEqual(findConverter(property('String', 'name'), 'User'), null);
+  });
+
+  test('converts fields with the converter they were read with, if it is one of their type', () => {
+    assert.strictEqual(findConverter(property('DateTime', 'createdAt', 'iso8601'), 'User').toMap, '${value}.toIso8601String()');
+    assert.strictEqual(findConverter(property('DateTime', 'birthday', 'date'), 'User').toMap, '${value}.toIso8601String().substring(0, 10)');
+    assert.strictEqual(findConverter(property('Uri', 'website', 'iso8601'), 'User').fromMap, 'Uri.parse(${value})');
+  });
+
+  test('converts nullable values only when they are present', () => {
+    assert.strictEqual(applyConverter('${value}.toIso8601String()', 'createdAt', false), 'createdAt.toIso8601String()');
+    assert.strictEqual(applyConverter('${value}.toIso8601String()', 'createdAt', true), 'createdAt?.toIso8601String()');
+    assert.strictEqual(applyConverter('${value}.toString().length', 'id', true), 'id != null ? id.toString().length : null');
+    assert.strictEqual(applyConverter('DateTime.parse(${ value })', 'x', true), 'x != null ? DateTime.parse(x) : null');
+  });
+});
\ No newline at end of file
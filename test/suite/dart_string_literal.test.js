@@ -0,0 +1,55 @@
+const assert = require('assert');
+
+const { findStringLiteral, findStringLiterals } = require('../../src/readers/dart_string_literal');
+
+suite('Dart String Literals', () => {
+  test('finds the literal holding an offset, with its escape sequences resolved', () => {
+    const source = `const sample = '{"name": "it\\'s \\u00e9t\\u00e9"}';`;
+    const literal = findStringLiteral(source, source.indexOf('name'));
+
+    assert.strictEqual(literal.value, '{"name": "it\'s été"}');
+    assert.strictEqual(source.substring(literal.start, literal.end), `'{"name": "it\\'s \\u00e9t\\u00e9"}'`);
+  });
+
+  test('reads raw and multi-line literals as they are', () => {
+    const source = `final a = r'\\d+';\nfinal b = '''\n{\n  "id": 1\n}\n''';`;
+
+    assert.strictEqual(findStringLiteral(source, source.indexOf('d+')).value, '\\d+');
+    assert.strictEqual(findStringLiteral(source, source.indexOf('"id"')).value, '\n{\n  "id": 1\n}\n');
+  });
+
+  test('maps positions of the value to offsets of the source', () => {
+    const source = `x = 'a\\nb';`;
+    const literal = findStringLiteral(source, source.indexOf('b'));
+
+    assert.strictEqual(literal.value, 'a\nb');
+    assert.strictEqual(literal.offsetAt(2), source.indexOf('b'));
+    assert.strictEqual(literal.indexAt(source.indexOf('b')), 2);
+  });
+
+  test('keeps interpolations holding quotes and braces in the literal', () => {
+    const source = `final a = 'id: \${map['id']}, \${{'b': '}'}['b']}';\nfinal b = '{"c": 1}';`;
+    const literal = findStringLiteral(source, source.indexOf('id:'));
+
+    assert.strictEqual(literal.value, `id: \${map['id']}, \${{'b': '}'}['b']}`);
+    assert.strictEqual(findStringLiteral(source, source.indexOf('"c"')).value, '{"c": 1}');
+    assert.strictEqual(findStringLiteral(source, source.indexOf('map')).start, literal.start);
+    assert.strictEqual(findStringLiteral(`var a = '\${b';`, 10), null);
+  });
+
+  test('finds every literal of the source', () => {
+    const source = `var a = 'x'; // 'y'\nvar b = r"\\d" '\${c}';`;
+
+    assert.deepStrictEqual(findStringLiterals(source).map(l => l.value), ['x', '\\d', '\${c}']);
+  });
+
+  test('skips comments and offsets out of literals', () => {
+    const source = `// 'not a literal'\nvar a = 1; /* "nor this" */ var b = "yes";`;
+
+    assert.strictEqual(findStringLiteral(source, source.indexOf('not')), null);
+    assert.strictEqual(findStringLiteral(source, source.indexOf('nor')), null);
+    assert.strictEqual(findStringLiteral(source, source.indexOf('var b')), null);
+    assert.strictEqual(findStringLiteral(source, source.indexOf('yes')).value, 'yes');
+    assert.strictEqual(findStringLiteral(`var a = 'unterminated\n';`, 10), null);
+  });
+});
\ No newline at end of file
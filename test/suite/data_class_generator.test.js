@@ -0,0 +1,174 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DataClassGenerator, migrateToNullSafety } = require('../../src/data_class_generator');
+const { DartClassReader } = require('../../src/readers/dart_class_reader');
+const { JsonReader } = require('../../src/readers/json_reader');
+
+/**
+ * Members of a class changed by the migration, by name.
+ *
+ * @param {string} source
+ * @param {string} name
+ * @returns {Object<string, string>}
+ */
+function migrate(source, name) {
+  const clazz = new DartClassReader(source).theClasses.find(c => c.name == name);
+  assert.ok(clazz != null, `${name} wasn't read`);
+  return Object.fromEntries(migrateToNullSafety(clazz).map(part => [part.name, part.replacement]));
+}
+
+/**
+ * Generates the classes of a JSON into a package of the given Dart SDK constraint.
+ *
+ * @param {any} json
+ * @param {string} sdk E.g. '>=2.10.0 <3.0.0'
+ * @returns {Promise<Object<string, string>>} The code of each class, by name
+ */
+async function generate(json, sdk) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'data-o-matic-'));
+  fs.writeFileSync(path.join(folder, 'pubspec.yaml'), `name: test\nenvironment:\n  sdk: "${sdk}"\n`);
+
+  const reader = new JsonReader(false, 'test', JSON.stringify(json), 'Root');
+  assert.strictEqual(await reader.error, null);
+  reader.generateEnums(reader.enumCandidates);
+
+  const code = {};
+  for (const file of reader.files) {
+    const generator = new DataClassGenerator([file.clazz], null, true, false, 'test', path.join(folder, `${file.name}.dart`));
+    code[file.clazz.name] = generator.clazzes[0].generateClassContent()[0];
+  }
+  fs.rmSync(folder, { recursive: true });
+  return code;
+}
+
+const legacyClasses = `
+class Point {
+  final int x;
+  final int y;
+  final String label;
+
+  Point(this.x, this.y, [this.label]);
+
+  Map<String, dynamic> toMap() {
+    return {
+      'x': x,
+      'y': y,
+      'label': label,
+    };
+  }
+}
+
+class Order {
+  final String id;
+  final int count;
+  final String? note;
+  final List<Point> points;
+  final Map<String, Point> byName;
+
+  Order({
+    @required this.id,
+    this.count = 0,
+    this.note,
+    this.points,
+    this.byName,
+  });
+
+  Map<String, dynamic> toMap() {
+    return {
+      'id': id,
+      'count': count,
+      'note': note,
+      'points': points
+          ?.map((x) => x?.toMap())
+          ?.toList(),
+      'byName': byName?.map(
+        (k, x) => MapEntry(k, x?.toMap()),
+      ),
+    };
+  }
+
+  factory Order.fromMap(Map<String, dynamic> map) {
+    return Order(
+      id: map['id'],
+      count: map['count']?.toInt() ?? 0,
+      note: map['note'],
+      points: List<Point>.from(map['points']?.map((x) => Point.fromMap(x))),
+      byName: Map<String, Point>.from(map['byName']),
+    );
+  }
+}`;
+
+suite('Data Class Generator', () => {
+  test('leaves positional constructors as they are', () => {
+    assert.deepStrictEqual(migrate(legacyClasses, 'Point'), {});
+  });
+
+  test('requires the named parameters of non-nullable fields without a default value', () => {
+    const constructor = migrate(legacyClasses, 'Order').constructor;
+
+    assert.ok(constructor.includes('required this.id,'), constructor);
+    assert.ok(constructor.includes('  this.count = 0,'), constructor);
+    assert.ok(constructor.includes('  this.note,'), constructor);
+    assert.ok(constructor.includes('required this.points,'), constructor);
+    assert.ok(!constructor.includes('@required'), constructor);
+  });
+
+  test('removes the null-aware accesses of chains spanning several lines', () => {
+    const toMap = migrate(legacyClasses, 'Order').toMap;
+
+    assert.ok(/'points': points\s+\.map\(\(x\) => x\.toMap\(\)\)\s+\.toList\(\),/.test(toMap), toMap);
+    assert.ok(/'byName': byName\.map\(\s+\(k, x\) => MapEntry\(k, x\.toMap\(\)\),\s+\),/.test(toMap), toMap);
+  });
+
+  test('converts numbers soundly, keeping their defaults', () => {
+    const fromMap = migrate(legacyClasses, 'Order').fromMap;
+
+    assert.ok(fromMap.includes(`count: (map['count'] as num?)?.toInt() ?? 0,`), fromMap);
+  });
+
+  test('keeps the names of fields that are built-in identifiers', () => {
+    const [clazz] = new DartClassReader('class Field {\n  final bool required;\n  final String? base;\n}').theClasses;
+    const code = new DataClassGenerator([clazz], null, false, false, 'test').clazzes[0].generateClassContent()[0];
+
+    assert.ok(code.includes('    required this.required,\n    this.base,'), code);
+    assert.ok(code.includes(`      required: map['required'],`), code);
+  });
+
+  test('keeps null-aware accesses of missing values before null safety', async() => {
+    const code = await generate([{ id: 1, at: '2020-01-01T00:00:00Z', child: { id: 2 } }, { id: 3 }], '>=2.10.0 <3.0.0');
+
+    assert.ok(code.Root.includes('  final DateTime at;'), code.Root);
+    assert.ok(code.Root.includes(`at: map['at'] != null ? DateTime.parse(map['at']) : null,`), code.Root);
+    assert.ok(code.Root.includes(`'child': child?.toMap(),`), code.Root);
+  });
+
+  test('declares sealed classes and enums the SDK supports', async() => {
+    const json = [
+      { type: 'a', level: 'LOW', status: 'active' },
+      { type: 'a', level: 'HIGH', status: 'inactive' },
+      { type: 'a', level: 'LOW', status: 'active' },
+      { type: 'b', size: 1 },
+    ];
+
+    const legacy = await generate(json, '>=2.14.0 <3.0.0');
+    assert.ok(legacy.Root.startsWith('abstract class Root {'), legacy.Root);
+    assert.ok(legacy.Level.includes('extension LevelValue on Level {'), legacy.Level);
+    assert.ok(legacy.ARoot.includes(`Status.values.firstWhere((e) => e.toString() == 'Status.\${map['status']}')`), legacy.ARoot);
+
+    const recent = await generate(json, '^3.0.0');
+    assert.ok(recent.Root.startsWith('sealed class Root {'), recent.Root);
+    assert.ok(recent.Level.includes('const Level(this.value);'), recent.Level);
+    assert.ok(recent.ARoot.includes(`Status.values.byName(map['status'])`), recent.ARoot);
+  });
+
+  test('overrides the serialization of sealed classes in their variants', async() => {
+    const code = await generate([{ type: 'click', x: 1 }, { type: 'view', page: 'home' }], '^3.0.0');
+
+    assert.ok(code.Root.includes('  Map<String, dynamic> toMap();'), code.Root);
+    assert.ok(code.ClickRoot.includes('  @override\n  Map<String, dynamic> toMap() {'), code.ClickRoot);
+    assert.ok(code.ViewRoot.includes('  @override\n  Map<String, dynamic> toMap() {'), code.ViewRoot);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+const assert = require('assert');
+
+const {
+  toCamelCase,
+  toClassName,
+  toDartLiteral,
+  toVarName,
+  singularize,
+} = require('../../src/helpers');
+
+suite('Helpers', () => {
+  test('names fields in camelCase', () => {
+    assert.strictEqual(toCamelCase('created_at'), 'createdAt');
+    assert.strictEqual(toCamelCase('Created-At'), 'createdAt');
+    assert.strictEqual(toCamelCase('USER_ID'), 'userId');
+    assert.strictEqual(toCamelCase('userID'), 'userID');
+    assert.strictEqual(toCamelCase('@type'), 'type');
+  });
+
+  test('names classes after keys, apart from the types of dart:core', () => {
+    assert.strictEqual(toClassName('user-profile'), 'UserProfile');
+    assert.strictEqual(toClassName('order_items'), 'OrderItems');
+    assert.strictEqual(toClassName('2fa'), 'Model2fa');
+    assert.strictEqual(toClassName('$'), 'Model');
+    assert.strictEqual(toClassName('map'), 'MapModel');
+    assert.strictEqual(toClassName('date_time'), 'DateTimeModel');
+  });
+
+  test('singularizes the last word of keys', () => {
+    assert.strictEqual(singularize('userAddresses'), 'userAddress');
+    assert.strictEqual(singularize('categories'), 'category');
+    assert.strictEqual(singularize('people'), 'person');
+    assert.strictEqual(singularize('ITEMS'), 'ITEM');
+    assert.strictEqual(singularize('s'), 's');
+  });
+
+  test('keeps names from clashing with Dart keywords', () => {
+    assert.strictEqual(toVarName('class'), 'cClass');
+    assert.strictEqual(toVarName('required'), 'required');
+    assert.strictEqual(toVarName('123'), 'n123');
+  });
+
+  test('writes JSON values as Dart literals', () => {
+    assert.strictEqual(toDartLiteral('it\'s $5'), '\'it\\\'s \\$5\'');
+    assert.strictEqual(toDartLiteral(1.5), '1.5');
+    assert.strictEqual(toDartLiteral(null), 'null');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+const assert = require('assert');
+
+const { HttpCaptureReader, readHttpCapture, getEndpoints } = require('../../src/readers/http_capture_reader');
+
+const httpFile = `GET https://example.com/api/v1/users/42
+Accept: application/json
+
+HTTP/1.1 200 OK
+Content-Type: application/json
+
+{"id": 42, "name": "Ada"}
+
+###
+
+GET https://example.com/api/v1/users/7?full=1
+
+HTTP/1.1 200 OK
+Content-Type: application/json
+
+{"id": 7, "name": "Alan", "email": "alan@example.com"}
+
+###
+
+GET https://example.com/api/v1/users
+
+HTTP/1.1 200 OK
+
+[{"id": 1}]
+
+###
+
+DELETE https://example.com/api/v1/users/42
+
+HTTP/1.1 204 No Content
+
+###
+
+GET https://example.com/health`;
+
+suite('HTTP Capture Reader', () => {
+  test('reads the JSON responses of .http files', () => {
+    const responses = readHttpCapture(httpFile);
+
+    assert.deepStrictEqual(responses.map(r => `${r.method} ${r.url} ${r.status}`), [
+      'GET https://example.com/api/v1/users/42 200',
+      'GET https://example.com/api/v1/users/7?full=1 200',
+      'GET https://example.com/api/v1/users 200',
+    ]);
+    assert.strictEqual(responses[0].body, '{"id": 42, "name": "Ada"}');
+  });
+
+  test('reads the JSON responses of HAR captures', () => {
+    const entry = (url, text, encoding, mimeType = 'application/json') => ({
+      request: { method: 'GET', url },
+      response: { status: 200, content: { mimeType, text, encoding } },
+    });
+    const har = {
+      log: {
+        entries: [
+          entry('https://example.com/orders/1', '{"id": 1}'),
+          entry('https://example.com/orders/2', Buffer.from('{"id": 2}').toString('base64'), 'base64'),
+          entry('https://example.com/logo.png', 'iVBORw0KGgo=', 'base64', 'image/png'),
+        ],
+      },
+    };
+
+    const warnings = [];
+    assert.deepStrictEqual(readHttpCapture(JSON.stringify(har), warnings).map(r => r.body), ['{"id": 1}', '{"id": 2}']);
+    assert.deepStrictEqual(warnings, ['Skipping the response of \'GET https://example.com/logo.png\' (200) as its content type is image/png.']);
+  });
+
+  test('tells why responses are skipped when none is read', async() => {
+    const warnings = [];
+    assert.deepStrictEqual(readHttpCapture(httpFile.substring(httpFile.indexOf('DELETE')), warnings), []);
+    assert.deepStrictEqual(warnings, ['Skipping the response of \'DELETE https://example.com/api/v1/users/42\' (204) as its body is empty.']);
+
+    const endpoint = { label: 'GET /mixed', status: 200, className: 'Mixed', bodies: ['{"id": 1}', '[1]'] };
+    const reader = new HttpCaptureReader(false, 'test', [endpoint], warnings);
+    assert.strictEqual(await reader.error, 'No JSON responses were found!');
+    assert.strictEqual(reader.warnings.length, 2);
+  });
+
+  test('groups the responses by endpoint, named after their resource', () => {
+    const endpoints = getEndpoints(readHttpCapture(httpFile));
+
+    assert.deepStrictEqual(endpoints.map(e => [e.label, e.className, e.bodies.length]), [
+      ['GET /api/v1/users/{id}', 'UserResponse', 2],
+      ['GET /api/v1/users', 'UserResponse', 1],
+    ]);
+  });
+
+  test('merges the responses of an endpoint into a class', async() => {
+    const [endpoint] = getEndpoints(readHttpCapture(httpFile));
+    const reader = new HttpCaptureReader(false, 'test', [endpoint]);
+    assert.strictEqual(await reader.error, null);
+
+    const clazz = reader.theClasses.find(c => c.name == 'UserResponse');
+    assert.deepStrictEqual(clazz.properties.map(p => `${p.rawType} ${p.name}`), ['int id', 'String name', 'String? email']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+const assert = require('assert');
+
+const { Json5Parser, JsonSyntaxError } = require('../../src/readers/json5_parser');
+
+/**
+ * @param {string} source
+ */
+function parse(source) {
+  return new Json5Parser(source).parse();
+}
+
+suite('JSON5 Parser', () => {
+  test('reads JSON5 and JSON with comments', () => {
+    const source = `{
+      // Unquoted keys, single quotes and trailing commas
+      name: 'Ada',
+      "tags": ['a', "b",],
+      hex: 0xFF,
+      ratio: .5,
+      big: +1e3,
+      limit: Infinity,
+      /* Block comment */
+      escaped: 'it\\'s\\u0021',
+    }`;
+
+    assert.deepStrictEqual(parse(source), {
+      name: 'Ada',
+      tags: ['a', 'b'],
+      hex: 255,
+      ratio: 0.5,
+      big: 1000,
+      limit: Infinity,
+      escaped: 'it\'s!',
+    });
+  });
+
+  test('keeps the comments of keys, before them and after their value', () => {
+    const parser = new Json5Parser(`{
+      /// Identifier of the user
+      id: 1, // Never reused
+      /**
+       * Display name
+       */
+      name: 'Ada',
+      age: 36,
+    }`);
+    const value = parser.parse();
+
+    assert.deepStrictEqual(parser.comments.get(value), {
+      id: 'Identifier of the user\nNever reused',
+      name: 'Display name',
+    });
+  });
+
+  test('locates syntax errors', () => {
+    assert.throws(() => parse('{\n  "a": 1,\n  "b": }'), (e) => {
+      assert.ok(e instanceof JsonSyntaxError);
+      assert.strictEqual(e.reason, 'Unexpected \'}\'');
+      assert.strictEqual(e.line, 3);
+      assert.strictEqual(e.column, 8);
+      return true;
+    });
+    assert.throws(() => parse('{"a": "unterminated\n}'), /Unterminated string at line 1/);
+    assert.throws(() => parse('[1, 2'), /',' or ']' at line 1, column 6/);
+  });
+});
\ No newline at end of file
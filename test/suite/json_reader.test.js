@@ -0,0 +1,120 @@
+const assert = require('assert');
+
+const { JsonReader } = require('../../src/readers/json_reader');
+
+/**
+ * @param {any} json
+ * @param {string} className
+ */
+async function read(json, className = 'Root') {
+  const reader = new JsonReader(false, 'test', typeof json === 'string' ? json : JSON.stringify(json), className);
+  assert.strictEqual(await reader.error, null);
+  return reader;
+}
+
+/**
+ * Fields of a class, e.g. ['int id', 'String? name'].
+ *
+ * @param {JsonReader} reader
+ * @param {string} name
+ */
+function fieldsOf(reader, name) {
+  const clazz = reader.theClasses.find(c => c.name == name);
+  assert.ok(clazz != null, `${name} wasn't generated`);
+  return clazz.properties.map(p => `${p.rawType} ${p.name}`);
+}
+
+suite('JSON Reader', () => {
+  test('shares classes only when their keys are the same', async() => {
+    const reader = await read({ a: { 'user_id': 1 }, b: { userId: 2 } });
+
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['A a', 'B b']);
+    assert.deepStrictEqual(reader.theClasses.find(c => c.name == 'B').properties.map(p => p.jsonName), ['userId']);
+  });
+
+  test('prefixes the names of keys that are not identifiers with a letter', async() => {
+    const reader = await read({ '2fa': true, '$': 1, 'é': 'x', '1st_place': 'a' });
+
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['bool k2fa', 'int k$', 'String ke', 'String k1stPlace']);
+  });
+
+  test('escapes keys named like Dart keywords, built-in identifiers or members of every object', async() => {
+    const reader = await read({ 'class': 'a', 'required': true, 'hashCode': 1, 'name': 'b' });
+
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['String cClass', 'bool rRequired', 'int hHashCode', 'String name']);
+  });
+
+  test('tells dictionaries of translations apart from objects with short keys', async() => {
+    const reader = await read({
+      message: { id: 'm1', to: 'bob', at: 'noon' },
+      greeting: { en: 'Hello', fr: 'Bonjour', de: 'Hallo' },
+      sales: { '2024-01-01': 3, '2024-01-02': 4.5 },
+      mixed: { en: 'Hello', fr: 1, de: true },
+    });
+
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), [
+      'Message message',
+      'Map<String, String> greeting',
+      'Map<String, double> sales',
+      'Mixed mixed',
+    ]);
+  });
+
+  test('types objects keyed by IDs as maps of their shared class', async() => {
+    const reader = await read({ users: { '101': { name: 'Ada' }, '102': { name: 'Alan', admin: true } } });
+
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['Map<String, User> users']);
+    assert.deepStrictEqual(fieldsOf(reader, 'User'), ['String name', 'bool? admin']);
+  });
+
+  test('proposes string fields with a few repeated values as enums', async() => {
+    const reader = await read([
+      { status: 'active', level: 'LOW', name: 'a' },
+      { status: 'suspended', level: 'HIGH', name: 'b' },
+      { status: 'active', level: 'LOW', name: 'c' },
+    ]);
+
+    assert.deepStrictEqual(reader.enumCandidates.map(c => [c.prop.name, c.values]), [
+      ['status', ['active', 'suspended']],
+      ['level', ['LOW', 'HIGH']],
+    ]);
+
+    reader.generateEnums(reader.enumCandidates);
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['Status status', 'Level level', 'String name']);
+    const level = reader.theClasses.find(c => c.name == 'Level');
+    assert.deepStrictEqual(level.enumValues, [{ name: 'low', value: 'LOW' }, { name: 'high', value: 'HIGH' }]);
+    assert.strictEqual(level.isPlainEnum, false);
+  });
+
+  test('generates sealed classes from objects told apart by a discriminator', async() => {
+    const reader = await read({
+      events: [
+        { type: 'click', x: 1, y: 2 },
+        { type: 'view', page: 'home' },
+        { type: 'click', x: 3, y: 4 },
+      ],
+    });
+
+    const event = reader.theClasses.find(c => c.name == 'Event');
+    assert.deepStrictEqual(fieldsOf(reader, 'Root'), ['List<Event> events']);
+    assert.strictEqual(event.isSealed, true);
+    assert.deepStrictEqual(event.variants, [{ name: 'ClickEvent', value: 'click' }, { name: 'ViewEvent', value: 'view' }]);
+    assert.deepStrictEqual(fieldsOf(reader, 'ClickEvent'), ['int x', 'int y']);
+    assert.strictEqual(reader.theClasses.find(c => c.name == 'ViewEvent').superclass, 'Event');
+  });
+
+  test('keeps the reason the samples could not be read among the warnings', async() => {
+    const reader = new JsonReader(false, 'test', ['{"a": 1}', '[1]'], 'Root');
+
+    assert.notStrictEqual(await reader.error, null);
+    assert.deepStrictEqual(reader.warnings, ['JSON samples must be either all objects or all arrays.']);
+  });
+
+  test('points out syntax errors without warning about them', async() => {
+    const reader = new JsonReader(false, 'test', '{"a": }', 'Root');
+
+    assert.notStrictEqual(await reader.error, null);
+    assert.notStrictEqual(reader.syntaxError, null);
+    assert.deepStrictEqual(reader.warnings, []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const assert = require('assert');
+
+const { DataClassGenerator } = require('../../src/data_class_generator');
+const { JsonSchemaReader } = require('../../src/readers/json_schema_reader');
+const { OpenApiReader } = require('../../src/readers/open_api_reader');
+
+/**
+ * @param {import('../../src/types').DartClass[]} classes
+ * @param {string} name
+ */
+function findClass(classes, name) {
+  return classes.find(c => c.name == name);
+}
+
+suite('JSON Schema Reader', () => {
+  test('names inline objects and enums with the same key after the class holding them', async() => {
+    const schema = {
+      type: 'object',
+      properties: {
+        user: {
+          type: 'object',
+          properties: {
+            address: { type: 'object', properties: { street: { type: 'string' } } },
+            status: { enum: ['active', 'banned'] },
+          },
+        },
+        order: {
+          type: 'object',
+          properties: {
+            address: { type: 'object', properties: { line: { type: 'string' } } },
+            status: { enum: ['open', 'closed'] },
+          },
+        },
+      },
+    };
+    const reader = new JsonSchemaReader(false, 'test', JSON.stringify(schema), 'Root');
+    assert.strictEqual(await reader.error, null);
+
+    const user = findClass(reader.theClasses, 'User');
+    const order = findClass(reader.theClasses, 'Order');
+    assert.deepStrictEqual(user.properties.map(p => p.rawType), ['Address?', 'Status?']);
+    assert.deepStrictEqual(order.properties.map(p => p.rawType), ['OrderAddress?', 'OrderStatus?']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Status').enumValues.map(v => v.value), ['active', 'banned']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'OrderStatus').enumValues.map(v => v.value), ['open', 'closed']);
+  });
+
+  test('keeps the names of definitions for them', async() => {
+    const schema = {
+      type: 'object',
+      properties: {
+        status: { enum: ['active', 'banned'] },
+        item: { $ref: '#/$defs/status' },
+      },
+      $defs: { status: { enum: ['a', 'b'] } },
+    };
+    const reader = new JsonSchemaReader(false, 'test', JSON.stringify(schema), 'Root');
+    assert.strictEqual(await reader.error, null);
+
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Root').properties.map(p => p.rawType), ['RootStatus?', 'Status?']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Status').enumValues.map(v => v.value), ['a', 'b']);
+  });
+
+  test('shares inline objects with the same structure', async() => {
+    const address = { type: 'object', properties: { street: { type: 'string' } } };
+    const schema = { type: 'object', properties: { billing: address, shipping: address } };
+    const reader = new JsonSchemaReader(false, 'test', JSON.stringify(schema), 'Root');
+    assert.strictEqual(await reader.error, null);
+
+    assert.deepStrictEqual(reader.theClasses.map(c => c.name), ['Root', 'Billing']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Root').properties.map(p => p.rawType), ['Billing?', 'Billing?']);
+  });
+
+  test('writes dates without their time', async() => {
+    const schema = {
+      type: 'object',
+      properties: {
+        birthday: { type: 'string', format: 'date' },
+        holidays: { type: 'array', items: { anyOf: [{ type: 'string', format: 'date' }, { type: 'null' }] } },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    };
+    const reader = new JsonSchemaReader(false, 'test', JSON.stringify(schema), 'Root');
+    assert.strictEqual(await reader.error, null);
+
+    const properties = findClass(reader.theClasses, 'Root').properties;
+    assert.deepStrictEqual(properties.map(p => [p.rawType, p.converter]), [
+      ['DateTime?', 'date'],
+      ['List<DateTime?>?', 'date'],
+      ['DateTime?', 'iso8601'],
+    ]);
+    const code = new DataClassGenerator([findClass(reader.theClasses, 'Root')], null, true).clazzes[0].generateClassContent()[0];
+    assert.ok(code.includes(`'birthday': birthday != null ? birthday.toIso8601String().substring(0, 10) : null,`), code);
+  });
+});
+
+suite('OpenAPI Reader', () => {
+  test('names inline objects and enums of different schemas apart', async() => {
+    const document = {
+      openapi: '3.0.0',
+      components: {
+        schemas: {
+          User: { type: 'object', properties: { status: { type: 'string', enum: ['active', 'banned'] } } },
+          Order: { type: 'object', properties: { status: { type: 'string', enum: ['open', 'closed'] } } },
+        },
+      },
+    };
+    const reader = new OpenApiReader(false, 'test', JSON.stringify(document), 'Root');
+    assert.strictEqual(await reader.error, null);
+
+    assert.deepStrictEqual(findClass(reader.theClasses, 'User').properties.map(p => p.rawType), ['Status?']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Order').properties.map(p => p.rawType), ['OrderStatus?']);
+    assert.deepStrictEqual(findClass(reader.theClasses, 'Status').enumValues.map(v => v.value), ['active', 'banned']);
+  });
+
+  test('warns about documents without schemas', async() => {
+    const reader = new OpenApiReader(false, 'test', 'openapi: 3.0.0\npaths: {}', 'Root');
+
+    assert.notStrictEqual(await reader.error, null);
+    assert.deepStrictEqual(reader.warnings, ['The document has no component schemas or definitions.']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const assert = require('assert');
+
+const { DartClassProperty, DartType } = require('../../src/types');
+
+suite('Dart Types', () => {
+  test('parses nested type arguments and their nullability', () => {
+    const type = DartType.parse('Map<String, List<Item?>>?');
+
+    assert.strictEqual(type.name, 'Map');
+    assert.strictEqual(type.isNullable, true);
+    assert.deepStrictEqual(type.args.map(arg => arg.toString()), ['String', 'List<Item?>']);
+    assert.strictEqual(type.itemType.toString(), 'List<Item?>');
+    assert.strictEqual(type.itemType.itemType.isNullable, true);
+    assert.strictEqual(type.toString(), 'Map<String, List<Item?>>?');
+  });
+
+  test('keeps function and record types as they are', () => {
+    assert.strictEqual(DartType.parse('void Function(List<int>)').args.length, 0);
+    assert.strictEqual(DartType.parse('Map<String, (int, List<int>)>').args[1].toString(), '(int, List<int>)');
+  });
+
+  test('makes types nullable, except dynamic', () => {
+    assert.strictEqual(DartType.parse('List<int>').asNullable().toString(), 'List<int>?');
+    assert.strictEqual(DartType.parse('dynamic').asNullable().toString(), 'dynamic');
+  });
+
+  test('types the items of collection properties', () => {
+    const prop = new DartClassProperty('Map<String, List<Item>>?', 'items');
+
+    assert.strictEqual(prop.isMap, true);
+    assert.strictEqual(prop.isCollection, true);
+    assert.strictEqual(prop.type, 'Map<String, List<Item>>');
+    assert.strictEqual(prop.itemType.rawType, 'List<Item>');
+    assert.strictEqual(prop.itemType.itemType.rawType, 'Item');
+    assert.strictEqual(prop.itemType.itemType.isPrimitive, false);
+    assert.strictEqual(new DartClassProperty('Set<List<int>>', 'ids').isPrimitive, true);
+    assert.strictEqual(new DartClassProperty('Iterable<int>', 'ids').defValue, 'const []');
+  });
+});
\ No newline at end of file